@@ -0,0 +1,92 @@
+// === ADMIN ===
+// Credential check and audit trail for the /admin route group. The admin key
+// comes from ADMIN_API_KEY and is sent as `Authorization: Bearer <key>` or
+// `X-Admin-Key`. Without ADMIN_API_KEY the admin API is disabled entirely.
+//
+// Every mutating admin request is appended to the "adminAudit" namespace.
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+const { HttpError } = require("./errors");
+
+const MAX_AUDIT_ENTRIES = 1000;
+
+function digest(value) {
+    return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+/**
+ * Express middleware rejecting requests without the admin key.
+ * @param {string} [apiKey]
+ */
+function requireAdmin(apiKey = process.env.ADMIN_API_KEY) {
+    const expected = apiKey ? digest(apiKey) : null;
+
+    return (req, res, next) => {
+        if (!expected) {
+            return next(new HttpError(503, "Admin API is disabled"));
+        }
+
+        const header = req.get("Authorization") || "";
+        const provided = header.startsWith("Bearer ")
+            ? header.slice("Bearer ".length)
+            : req.get("X-Admin-Key");
+        // Compare digests so the check takes the same time for any input
+        if (!provided || !crypto.timingSafeEqual(digest(provided), expected)) {
+            logger.warn(
+                `[ADMIN] Rejected ${req.method} ${req.originalUrl} from ${req.ip}`,
+            );
+            return next(new HttpError(401, "Invalid admin credential"));
+        }
+
+        // Optional free-form name so the audit log says who acted
+        req.adminActor = req.get("X-Admin-User") || "admin";
+        next();
+    };
+}
+
+function createAuditLog({ store }) {
+    /**
+     * @param {object} req  The admin request (actor, ip)
+     * @param {string} action  e.g. "challenges.replace"
+     * @param {object} [details]
+     */
+    function record(req, action, details = {}) {
+        const at = new Date().toISOString();
+        const id = `${at}-${crypto.randomBytes(3).toString("hex")}`;
+        const entry = {
+            id,
+            at,
+            action,
+            actor: req.adminActor,
+            ip: req.ip,
+            details,
+        };
+        store.set("adminAudit", id, entry);
+
+        const ids = store
+            .entries("adminAudit")
+            .map(([key]) => key)
+            .sort();
+        for (const old of ids.slice(0, -MAX_AUDIT_ENTRIES)) {
+            store.delete("adminAudit", old);
+        }
+
+        logger.info(`[ADMIN] ${entry.actor} ${action}`, details);
+        return entry;
+    }
+
+    // Newest first, optionally filtered by action prefix
+    function list({ limit = 100, action } = {}) {
+        return store
+            .entries("adminAudit")
+            .map(([, entry]) => entry)
+            .filter((entry) => !action || entry.action.startsWith(action))
+            .sort((a, b) => b.id.localeCompare(a.id))
+            .slice(0, limit);
+    }
+
+    return { record, list };
+}
+
+module.exports = { requireAdmin, createAuditLog };
@@ -0,0 +1,90 @@
+// === ANTI-CHEAT ===
+// Plausibility checks for client-reported progress. The client is never
+// trusted: reports are rate limited per wallet and target type, and anything
+// suspicious is appended to a per-wallet flag log in the store for review.
+// The limit covers reports against every track together, so the same units
+// can't be credited (and earn XP) once per daily, weekly and event challenge
+// beyond it.
+
+const { logger } = require("./logger");
+
+const WINDOW_MS = 60 * 1000;
+const MAX_FLAGS_PER_WALLET = 200;
+
+const DEFAULT_TARGET_LIMITS = { maxPerMinute: 30, xpPerUnit: 10 };
+
+function createProgressGuard({ store, targets = {} }) {
+    // wallet:target -> [{ at, units }] for the last minute. Kept in memory on
+    // purpose: losing a minute of history on restart is harmless.
+    const windows = new Map();
+    let lastSweep = 0;
+
+    function limitsFor(target) {
+        return { ...DEFAULT_TARGET_LIMITS, ...targets[target] };
+    }
+
+    function flag(wallet, type, details = {}) {
+        const event = {
+            type,
+            details,
+            at: new Date().toISOString(),
+        };
+        const log = store.get("flags", wallet) || [];
+        log.push(event);
+        store.set("flags", wallet, log.slice(-MAX_FLAGS_PER_WALLET));
+        logger.warn(`[ANTICHEAT] Flagged ${wallet}: ${type}`, details);
+        return event;
+    }
+
+    function recentUnits(key, now) {
+        const recent = (windows.get(key) || []).filter(
+            (entry) => now - entry.at < WINDOW_MS,
+        );
+        if (recent.length) windows.set(key, recent);
+        else windows.delete(key);
+        return recent.reduce((sum, entry) => sum + entry.units, 0);
+    }
+
+    // Drops the windows of wallets that stopped reporting, at most once a
+    // window, so the map only holds the last minute's activity
+    function sweep(now) {
+        if (now - lastSweep < WINDOW_MS) return;
+        lastSweep = now;
+        for (const key of [...windows.keys()]) recentUnits(key, now);
+    }
+
+    /**
+     * Check whether `units` more of `target` is plausible for this wallet
+     * right now. Does not record anything; call commit() once credited.
+     * @returns {{ ok: boolean, limit: number, recent: number }}
+     */
+    function checkRate(wallet, target, units, now = Date.now()) {
+        const { maxPerMinute } = limitsFor(target);
+        const recent = recentUnits(`${wallet}:${target}`, now);
+        return {
+            ok: recent + units <= maxPerMinute,
+            limit: maxPerMinute,
+            recent,
+        };
+    }
+
+    function commit(wallet, target, units, now = Date.now()) {
+        sweep(now);
+        const key = `${wallet}:${target}`;
+        if (!windows.has(key)) windows.set(key, []);
+        windows.get(key).push({ at: now, units });
+    }
+
+    // Number of wallet/target windows held in memory
+    function size() {
+        return windows.size;
+    }
+
+    function getFlags(wallet) {
+        return store.get("flags", wallet) || [];
+    }
+
+    return { checkRate, commit, flag, getFlags, limitsFor, size };
+}
+
+module.exports = { createProgressGuard };
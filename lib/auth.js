@@ -0,0 +1,220 @@
+// === AUTH ===
+// Shared request authentication. A caller proves which wallet it acts for
+// with either
+//   - a linked game session token (X-Session-Token header, or `sessionToken`
+//     in the body/query), or
+//   - a Honeycomb access token (`Authorization: Bearer <token>`) that this
+//     server obtained through /honeycomb-auth-confirm. Tokens a client merely
+//     presents (e.g. when verifying a session) are never registered.
+// Routes then refuse to touch any other wallet or any project but ours.
+// Server-authority routes (XP, achievements) additionally require the
+// INTERNAL_API_KEY so only trusted backends can call them.
+
+const crypto = require("crypto");
+const { accessTokenExpiry } = require("./sessions");
+const { logger } = require("./logger");
+const { HttpError } = require("./errors");
+
+class AuthError extends HttpError {
+    constructor(status, code, message) {
+        super(status, message, { code });
+    }
+}
+
+function hash(value) {
+    return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function keyMatches(provided, expected) {
+    if (!provided || !expected) return false;
+    return crypto.timingSafeEqual(
+        Buffer.from(hash(provided), "hex"),
+        Buffer.from(hash(expected), "hex"),
+    );
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.sessions  Session manager (see lib/sessions)
+ * @param {() => string|undefined} deps.projectAddress  Our Honeycomb project
+ */
+function createAuth({
+    store,
+    sessions,
+    projectAddress,
+    internalKey = process.env.INTERNAL_API_KEY,
+}) {
+    /**
+     * Remember a Honeycomb access token we saw Honeycomb issue so it can
+     * authenticate later requests. Only a hash is stored, in the
+     * "accessTokens" namespace.
+     */
+    function rememberAccessToken(accessToken, walletAddress) {
+        if (!accessToken || !walletAddress) return;
+        store.set("accessTokens", hash(accessToken), {
+            walletAddress,
+            expiresAt: accessTokenExpiry(accessToken),
+        });
+    }
+
+    function walletForAccessToken(accessToken) {
+        const key = hash(accessToken);
+        const entry = store.get("accessTokens", key);
+        if (!entry) return null;
+        if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+            store.delete("accessTokens", key);
+            return null;
+        }
+        return entry.walletAddress;
+    }
+
+    // Whether we saw Honeycomb issue this (still valid) token to the wallet
+    function isIssuedAccessToken(accessToken, walletAddress) {
+        return (
+            typeof accessToken === "string" &&
+            !!walletAddress &&
+            walletForAccessToken(accessToken) === walletAddress
+        );
+    }
+
+    function sessionTokenOf(req) {
+        return (
+            req.get("X-Session-Token") ||
+            req.body?.sessionToken ||
+            req.query.sessionToken
+        );
+    }
+
+    function resolve(req) {
+        const sessionToken = sessionTokenOf(req);
+        if (sessionToken) {
+            const session = sessions.get(sessionToken);
+            if (session) {
+                return {
+                    wallet: session.walletAddress,
+                    via: "session",
+                    session,
+                };
+            }
+        }
+
+        const header = req.get("Authorization") || "";
+        if (header.startsWith("Bearer ")) {
+            const wallet = walletForAccessToken(header.slice(7));
+            if (wallet) return { wallet, via: "accessToken" };
+        }
+        return null;
+    }
+
+    /**
+     * Require a caller wallet. Every listed field (e.g. "body.walletAddress",
+     * "query.wallet") that names a wallet must be the caller's own; missing
+     * fields are filled in with it.
+     */
+    function requireWallet(...fields) {
+        return (req, res, next) => {
+            const auth = resolve(req);
+            if (!auth) {
+                return next(
+                    new AuthError(
+                        401,
+                        "UNAUTHENTICATED",
+                        "A valid session token or access token is required",
+                    ),
+                );
+            }
+
+            for (const field of fields) {
+                const [source, name] = field.split(".");
+                const container = req[source];
+                if (!container) continue;
+                if (container[name] === undefined || container[name] === "") {
+                    container[name] = auth.wallet;
+                } else if (container[name] !== auth.wallet) {
+                    logger.warn(
+                        `[AUTH] ${auth.wallet} tried to act on ${container[name]} via ${req.method} ${req.path}`,
+                    );
+                    return next(
+                        new AuthError(
+                            403,
+                            "WALLET_MISMATCH",
+                            "You can only act on your own wallet",
+                        ),
+                    );
+                }
+            }
+
+            req.auth = auth;
+            next();
+        };
+    }
+
+    // Only our own project may be named; a missing `project` defaults to it
+    function restrictProject(req, res, next) {
+        const ours = projectAddress();
+        if (!ours) {
+            return next(
+                new AuthError(
+                    503,
+                    "PROJECT_NOT_READY",
+                    "Project is not initialized yet",
+                ),
+            );
+        }
+        for (const container of [req.body, req.query]) {
+            if (!container) continue;
+            if (container.project === undefined) continue;
+            if (String(container.project) !== ours) {
+                return next(
+                    new AuthError(
+                        403,
+                        "PROJECT_MISMATCH",
+                        "Only this game's project can be used",
+                    ),
+                );
+            }
+        }
+        if (req.body && req.body.project === undefined) req.body.project = ours;
+        if (req.query.project === undefined) req.query.project = ours;
+        next();
+    }
+
+    // Server-authority routes: callers must present X-Internal-Key
+    function requireInternalKey(req, res, next) {
+        if (!internalKey) {
+            return next(
+                new AuthError(
+                    503,
+                    "INTERNAL_API_DISABLED",
+                    "This route is disabled; set INTERNAL_API_KEY to enable it",
+                ),
+            );
+        }
+        if (!keyMatches(req.get("X-Internal-Key"), internalKey)) {
+            logger.warn(
+                `[AUTH] Rejected internal call ${req.method} ${req.path} from ${req.ip}`,
+            );
+            return next(
+                new AuthError(
+                    401,
+                    "INTERNAL_KEY_REQUIRED",
+                    "A valid X-Internal-Key header is required",
+                ),
+            );
+        }
+        req.auth = { wallet: null, via: "internal" };
+        next();
+    }
+
+    return {
+        rememberAccessToken,
+        isIssuedAccessToken,
+        resolve,
+        requireWallet,
+        restrictProject,
+        requireInternalKey,
+    };
+}
+
+module.exports = { createAuth, AuthError };
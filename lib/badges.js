@@ -0,0 +1,248 @@
+// === BADGES ===
+// Badge catalog (catalog/badges.json) mapped onto Honeycomb badge criteria
+// and profile achievements. A badge's `index` is both its Honeycomb criteria
+// index and the achievement number written to the player's profile.
+//
+// Earned badges are recorded in the "badges" namespace first and then pushed
+// on-chain; failed pushes stay "pending" and are retried.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const DEFAULT_CATALOG_PATH = path.join(
+    __dirname,
+    "..",
+    "catalog",
+    "badges.json",
+);
+const RETRY_INTERVAL_MS = 5 * 60 * 1000;
+
+const CRITERIA_TYPES = ["challenge", "dailySweep", "completedTotal", "streak"];
+// Challenge criteria name the track they count on; "event" is any event
+const CHALLENGE_TRACKS = ["daily", "weekly", "event"];
+
+function loadBadgeCatalog(
+    filePath = process.env.BADGE_CATALOG || DEFAULT_CATALOG_PATH,
+) {
+    const catalog = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const seen = new Set();
+    for (const badge of catalog.badges || []) {
+        if (!Number.isInteger(badge.index) || badge.index < 0) {
+            throw new Error(`Badge ${badge.key} needs a non-negative index`);
+        }
+        if (seen.has(badge.index)) {
+            throw new Error(`Duplicate badge index ${badge.index}`);
+        }
+        if (!CRITERIA_TYPES.includes(badge.criteria?.type)) {
+            throw new Error(
+                `Badge ${badge.key} has unknown criteria "${badge.criteria?.type}"`,
+            );
+        }
+        if (
+            badge.criteria.type === "challenge" &&
+            badge.criteria.track !== undefined &&
+            !CHALLENGE_TRACKS.includes(badge.criteria.track)
+        ) {
+            throw new Error(
+                `Badge ${badge.key} has unknown track "${badge.criteria.track}"`,
+            );
+        }
+        seen.add(badge.index);
+    }
+    logger.info(
+        `[BADGES] Loaded ${seen.size} badges from ${path.basename(filePath)}`,
+    );
+    return catalog;
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.catalog  Parsed badge catalog
+ * @param {(wallet: string, indexes: number[]) => Promise<string>} deps.award
+ *   Writes the achievements to the wallet's profile, resolves with the signature
+ */
+function createBadgeService({
+    store,
+    catalog,
+    award,
+    artBaseUrl = process.env.BADGE_ART_BASE_URL || "",
+}) {
+    const badges = [...catalog.badges].sort((a, b) => a.index - b.index);
+    const syncing = new Map();
+    let timer = null;
+
+    function imageUrl(image) {
+        if (!artBaseUrl || /^https?:\/\//.test(image)) return image;
+        return `${artBaseUrl.replace(/\/$/, "")}/${image}`;
+    }
+
+    // Track of the challenge (daily, weekly, event:<id>) against the criteria's
+    // track, which defaults to daily
+    function onTrack(criteria, track = "daily") {
+        const wanted = criteria.track || "daily";
+        return wanted === "event"
+            ? track.startsWith("event:")
+            : wanted === track;
+    }
+
+    function matchesChallenge(criteria, { tier, target, track }) {
+        return (
+            criteria.type === "challenge" &&
+            onTrack(criteria, track) &&
+            (!criteria.tier || criteria.tier === tier) &&
+            (!criteria.target || criteria.target === target)
+        );
+    }
+
+    // Badge awarded for completing a challenge of this tier/target on this
+    // track, if any
+    function challengeBadgeIndex({ tier, target, track }) {
+        const badge = badges.find(({ criteria }) =>
+            matchesChallenge(criteria, { tier, target, track }),
+        );
+        return badge ? badge.index : null;
+    }
+
+    function meets({ criteria }, facts) {
+        switch (criteria.type) {
+            case "challenge":
+                return (
+                    !!facts.challenge &&
+                    matchesChallenge(criteria, {
+                        ...facts.challenge,
+                        track: facts.track,
+                    })
+                );
+            case "dailySweep":
+                return !!facts.dailySweep;
+            case "completedTotal":
+                return (facts.completedTotal || 0) >= criteria.count;
+            case "streak":
+                return (facts.streakDays || 0) >= criteria.days;
+            default:
+                return false;
+        }
+    }
+
+    function earned(wallet) {
+        return store.get("badges", wallet) || {};
+    }
+
+    /**
+     * Award every badge whose criteria the facts satisfy and that the wallet
+     * doesn't hold yet.
+     * @param {object} facts
+     *   { challenge, track, dailySweep, completedTotal, streakDays }
+     * @returns {object[]} newly earned badges
+     */
+    function evaluate(wallet, facts) {
+        const held = earned(wallet);
+        const fresh = badges.filter(
+            (badge) => !held[badge.index] && meets(badge, facts),
+        );
+        if (!fresh.length) return [];
+
+        const now = new Date().toISOString();
+        for (const badge of fresh) {
+            held[badge.index] = { earnedAt: now, status: "pending" };
+        }
+        store.set("badges", wallet, held);
+        logger.info(
+            `[BADGES] ${wallet} earned ${fresh.map((b) => b.key).join(", ")}`,
+        );
+
+        sync(wallet).catch(() => {});
+        return fresh.map(describe);
+    }
+
+    // Push pending badges of one wallet on-chain in a single transaction
+    function sync(wallet) {
+        if (syncing.has(wallet)) return syncing.get(wallet);
+
+        const pending = Object.entries(earned(wallet))
+            .filter(([, b]) => b.status !== "awarded")
+            .map(([index]) => Number(index));
+        if (!pending.length) return Promise.resolve();
+
+        const run = award(wallet, pending)
+            .then((signature) => {
+                const held = earned(wallet);
+                for (const index of pending) {
+                    held[index] = {
+                        ...held[index],
+                        status: "awarded",
+                        signature,
+                    };
+                    delete held[index].lastError;
+                }
+                store.set("badges", wallet, held);
+            })
+            .catch((err) => {
+                const held = earned(wallet);
+                for (const index of pending) {
+                    held[index] = { ...held[index], lastError: err.message };
+                }
+                store.set("badges", wallet, held);
+                logger.error(
+                    `[BADGES] On-chain award failed for ${wallet}:`,
+                    err.message,
+                );
+                throw err;
+            })
+            .finally(() => syncing.delete(wallet));
+        syncing.set(wallet, run);
+        return run;
+    }
+
+    function describe(badge) {
+        return {
+            index: badge.index,
+            key: badge.key,
+            name: badge.name,
+            description: badge.description,
+            image: imageUrl(badge.image),
+            criteria: badge.criteria,
+        };
+    }
+
+    /**
+     * Full catalog for the trophy screen, marking what the wallet holds.
+     * @param {number[]} [onChain]  Achievements already on the profile
+     */
+    function list(wallet, onChain = []) {
+        const held = earned(wallet);
+        return badges.map((badge) => {
+            const record = held[badge.index];
+            const isOnChain = onChain.map(Number).includes(badge.index);
+            return {
+                ...describe(badge),
+                earned: !!record || isOnChain,
+                earnedAt: record?.earnedAt || null,
+                status: isOnChain ? "awarded" : record?.status || "locked",
+            };
+        });
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            for (const [wallet] of store.entries("badges")) {
+                sync(wallet).catch(() => {});
+            }
+        }, RETRY_INTERVAL_MS);
+        timer.unref?.();
+    }
+
+    return {
+        badges: () => badges.map(describe),
+        challengeBadgeIndex,
+        evaluate,
+        sync,
+        list,
+        start,
+    };
+}
+
+module.exports = { loadBadgeCatalog, createBadgeService };
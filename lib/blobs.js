@@ -0,0 +1,195 @@
+// === BLOBS ===
+// Off-chain storage for values too large for a Honeycomb profile's
+// customData (deck lists, full run state). Blobs are gzip-compressed and
+// content-addressed by the SHA-256 of their uncompressed bytes; the profile
+// only records a reference
+//
+//   blob:sha256:<hex>:<size>
+//
+// which can't be mistaken for an inline value, since JSON never starts with
+// "b". Every download is decompressed and re-hashed, and anything that no
+// longer matches the on-chain hash and size is refused rather than served.
+//
+// Blobs are immutable and never deleted: identical content written by
+// another slot or wallet shares the same file.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { logger } = require("./logger");
+const { HttpError } = require("./errors");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const REF_PATTERN = /^blob:sha256:([0-9a-f]{64}):(\d+)$/;
+
+function sha256(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function isBlobRef(value) {
+    return typeof value === "string" && REF_PATTERN.test(value);
+}
+
+class MemoryBlobBackend {
+    constructor() {
+        this.kind = "memory";
+        this.blobs = new Map();
+    }
+
+    async has(hash) {
+        return this.blobs.has(hash);
+    }
+
+    async write(hash, compressed) {
+        this.blobs.set(hash, compressed);
+    }
+
+    async read(hash) {
+        return this.blobs.get(hash) || null;
+    }
+}
+
+// One file per blob under <dir>/<first two hex chars>/<hash>.gz. Files are
+// written to a temp name and renamed into place, like the FileStore snapshot.
+class FileBlobBackend {
+    constructor(dir) {
+        this.kind = "file";
+        this.dir = path.resolve(dir);
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    pathOf(hash) {
+        return path.join(this.dir, hash.slice(0, 2), `${hash}.gz`);
+    }
+
+    async has(hash) {
+        try {
+            await fs.promises.access(this.pathOf(hash));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async write(hash, compressed) {
+        const filePath = this.pathOf(hash);
+        const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, compressed);
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    async read(hash) {
+        try {
+            return await fs.promises.readFile(this.pathOf(hash));
+        } catch (err) {
+            if (err.code === "ENOENT") return null;
+            throw err;
+        }
+    }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.backend]  "file" (default) or "memory"
+ * @param {string} [options.dir]  Blob directory of the file backend
+ * @param {number} [options.inlineMaxBytes]  Larger values become blobs
+ * @param {number} [options.maxBytes]  Largest value accepted at all
+ */
+function createBlobStore({
+    backend = process.env.BLOB_BACKEND || "file",
+    dir = process.env.BLOB_DIR || "./data/blobs",
+    inlineMaxBytes = Number(process.env.BLOB_INLINE_MAX_BYTES || 1024),
+    maxBytes = Number(process.env.BLOB_MAX_BYTES || 512 * 1024),
+} = {}) {
+    let blobs;
+    switch (backend) {
+        case "memory":
+            blobs = new MemoryBlobBackend();
+            break;
+        case "file":
+            blobs = new FileBlobBackend(dir);
+            break;
+        default:
+            throw new Error(`Unknown BLOB_BACKEND "${backend}"`);
+    }
+
+    /**
+     * Store bytes and return their reference.
+     * @param {Buffer} buffer
+     */
+    async function put(buffer) {
+        const hash = sha256(buffer);
+        if (!(await blobs.has(hash))) {
+            await blobs.write(hash, await gzip(buffer));
+            logger.debug(`[BLOBS] Stored ${hash} (${buffer.length} bytes)`);
+        }
+        return `blob:sha256:${hash}:${buffer.length}`;
+    }
+
+    /**
+     * Bytes behind a reference, verified against its hash and size.
+     * @param {string} ref
+     */
+    async function get(ref) {
+        const [, hash, size] = REF_PATTERN.exec(ref) || [];
+        if (!hash) throw new Error(`Not a blob reference: ${ref}`);
+
+        const compressed = await blobs.read(hash);
+        if (!compressed) {
+            throw new HttpError(404, `Blob ${hash} is missing`, {
+                code: "BLOB_NOT_FOUND",
+            });
+        }
+
+        let buffer = null;
+        try {
+            buffer = await gunzip(compressed);
+        } catch {
+            // reported below
+        }
+        if (
+            !buffer ||
+            buffer.length !== Number(size) ||
+            sha256(buffer) !== hash
+        ) {
+            logger.error(`[BLOBS] Blob ${hash} failed its integrity check`);
+            throw new HttpError(500, "Stored data failed its integrity check", {
+                code: "BLOB_INTEGRITY_FAILED",
+            });
+        }
+        return buffer;
+    }
+
+    /**
+     * Encode a JSON value for customData: inline JSON when small, otherwise
+     * a blob reference.
+     */
+    async function pack(value) {
+        const json = Buffer.from(JSON.stringify(value));
+        if (json.length <= inlineMaxBytes) return json.toString();
+        if (json.length > maxBytes) {
+            throw new HttpError(
+                413,
+                `Values are limited to ${maxBytes} bytes of JSON`,
+            );
+        }
+        return put(json);
+    }
+
+    // Inverse of pack()
+    async function unpack(encoded) {
+        if (isBlobRef(encoded)) {
+            return JSON.parse((await get(encoded)).toString());
+        }
+        return JSON.parse(encoded);
+    }
+
+    return { kind: blobs.kind, put, get, pack, unpack };
+}
+
+module.exports = { createBlobStore, isBlobRef };
@@ -0,0 +1,195 @@
+// === CHALLENGE CATALOG ===
+// Challenges are generated from templates in a JSON catalog. Generation is
+// seeded from the day key, so every server instance (and every restart)
+// produces exactly the same set for a given day.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const DEFAULT_CATALOG_PATH = path.join(
+    __dirname,
+    "..",
+    "catalog",
+    "challenges.json",
+);
+
+function loadCatalog(
+    filePath = process.env.CHALLENGE_CATALOG || DEFAULT_CATALOG_PATH,
+) {
+    const catalog = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    validateCatalog(catalog, filePath);
+    logger.info(
+        `[CATALOG] Loaded ${catalog.templates.length} challenge templates from ${filePath}`,
+    );
+    return catalog;
+}
+
+function validateCatalog(catalog, source) {
+    const fail = (msg) => {
+        throw new Error(`Invalid challenge catalog ${source}: ${msg}`);
+    };
+
+    if (!catalog.tiers || typeof catalog.tiers !== "object") {
+        fail("missing tiers");
+    }
+    if (!Array.isArray(catalog.templates) || !catalog.templates.length) {
+        fail("templates must be a non-empty array");
+    }
+    for (const track of ["daily", "weekly"]) {
+        if (track === "weekly" && !catalog.weekly) continue;
+        const slots = catalog[track]?.slots;
+        if (!Array.isArray(slots) || !slots.length) {
+            fail(`${track}.slots must be a non-empty array of tiers`);
+        }
+    }
+
+    for (const t of catalog.templates) validateTemplate(t, catalog.tiers, fail);
+
+    for (const tier of [
+        ...catalog.daily.slots,
+        ...(catalog.weekly?.slots || []),
+    ]) {
+        if (!catalog.templates.some((t) => t.tier === tier)) {
+            fail(`slot tier "${tier}" has no templates`);
+        }
+    }
+}
+
+/**
+ * Check one challenge template (catalog or event); calls `fail` with the
+ * problem.
+ */
+function validateTemplate(t, tiers, fail) {
+    if (!t?.id || !t.verb || !t.target) {
+        fail(`template ${JSON.stringify(t)} needs id, verb and target`);
+    }
+    if (!tiers[t.tier]) {
+        fail(`template ${t.id} uses unknown tier "${t.tier}"`);
+    }
+    if (
+        !Number.isInteger(t.amount?.min) ||
+        !Number.isInteger(t.amount?.max) ||
+        t.amount.min < 1 ||
+        t.amount.max < t.amount.min
+    ) {
+        fail(`template ${t.id} has an invalid amount range`);
+    }
+    if (!Number.isFinite(t.reward?.base) || t.reward.base < 0) {
+        fail(`template ${t.id} needs a non-negative reward.base`);
+    }
+}
+
+// FNV-1a, used to turn a seed string into a 32-bit integer
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// mulberry32: small, fast PRNG returning floats in [0, 1)
+function createRng(seed) {
+    let a = typeof seed === "string" ? hashString(seed) : seed >>> 0;
+    return function () {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pickWeighted(rng, items) {
+    const total = items.reduce((sum, item) => sum + (item.weight ?? 1), 0);
+    let roll = rng() * total;
+    for (const item of items) {
+        roll -= item.weight ?? 1;
+        if (roll < 0) return item;
+    }
+    return items[items.length - 1];
+}
+
+function rollAmount(rng, { min, max, step = 1 }) {
+    const steps = Math.floor((max - min) / step);
+    return min + Math.floor(rng() * (steps + 1)) * step;
+}
+
+function computeReward(template, amount, tier) {
+    const { base, perUnit = 0, roundTo = 1 } = template.reward;
+    const raw = (base + perUnit * amount) * (tier.rewardMultiplier ?? 1);
+    return Math.max(roundTo, Math.round(raw / roundTo) * roundTo);
+}
+
+/**
+ * Deterministically build the challenge set for one period.
+ * @param {object} catalog  Parsed catalog (see loadCatalog)
+ * @param {string} periodKey  e.g. "2026-10-19" — same key, same challenges
+ * @param {object} [options]
+ * @param {string[]} [options.slots]  Tier per challenge; defaults to catalog.daily.slots
+ * @param {string} [options.prefix]  Challenge id prefix
+ * @param {function} [options.badgeIndexOf]  (template, tierName, i) -> badge index
+ * @param {object[]} [options.templates]  Template pool; defaults to catalog.templates
+ * @param {number} [options.amountMultiplier]  Scales rolled targets (weekly tracks)
+ * @param {number} [options.rewardMultiplier]  Scales rewards on top of the tier's
+ * @param {string} [options.seed]  Extra seed to roll a different set for the same period
+ */
+function generateChallenges(
+    catalog,
+    periodKey,
+    {
+        slots = catalog.daily.slots,
+        prefix = "daily",
+        badgeIndexOf = (template, tierName, i) => i,
+        templates = catalog.templates,
+        amountMultiplier = 1,
+        rewardMultiplier = 1,
+        seed = "",
+    } = {},
+) {
+    const salt = process.env.CHALLENGE_SEED_SALT || "";
+    const rng = createRng(
+        `${prefix}:${periodKey}:${salt}${seed ? `:${seed}` : ""}`,
+    );
+    const used = new Set();
+
+    return slots.map((tierName, i) => {
+        const tier = catalog.tiers[tierName];
+        let pool = templates.filter(
+            (t) => t.tier === tierName && !used.has(`${t.verb}:${t.target}`),
+        );
+        // Fall back to repeats rather than failing when a tier is small
+        if (!pool.length) {
+            pool = templates.filter((t) => t.tier === tierName);
+        }
+
+        const template = pickWeighted(rng, pool);
+        used.add(`${template.verb}:${template.target}`);
+        const amount = Math.round(
+            rollAmount(rng, template.amount) * amountMultiplier,
+        );
+
+        return {
+            id: `${prefix}_${periodKey}_${i}`,
+            templateId: template.id,
+            tier: tierName,
+            verb: template.verb,
+            target: template.target,
+            amount,
+            reward: Math.round(
+                computeReward(template, amount, tier) * rewardMultiplier,
+            ),
+            badgeIndex: badgeIndexOf(template, tierName, i),
+        };
+    });
+}
+
+module.exports = {
+    loadCatalog,
+    validateTemplate,
+    generateChallenges,
+    createRng,
+    hashString,
+};
@@ -0,0 +1,151 @@
+// === ERRORS ===
+// Every failed request is answered with the same envelope:
+//   { "error": { "code": "NOT_FOUND", "message": "...", "details": [...] } }
+// Routes throw (or reject with) an error carrying `status` and optionally
+// `code`/`details`; errorHandler turns it into the response. Errors without
+// a status are unexpected: they are logged with their stack and answered
+// with a generic 500, so internals never reach the client.
+
+const { logger } = require("./logger");
+
+const STATUS_CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    410: "GONE",
+    413: "PAYLOAD_TOO_LARGE",
+    422: "UNPROCESSABLE",
+    429: "RATE_LIMITED",
+    500: "INTERNAL_ERROR",
+    502: "UPSTREAM_ERROR",
+    503: "UNAVAILABLE",
+};
+
+class HttpError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message
+     * @param {object} [options]
+     * @param {string} [options.code]  Defaults to one derived from status
+     * @param {*} [options.details]  e.g. per-field validation problems
+     */
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.status = status;
+        this.code = code || STATUS_CODES[status] || "ERROR";
+        if (details !== undefined) this.details = details;
+    }
+}
+
+// Status and client-safe message/code for any thrown value
+function describe(err) {
+    // body-parser failures (malformed JSON, oversized body)
+    if (err?.type === "entity.parse.failed") {
+        return {
+            status: 400,
+            code: "INVALID_JSON",
+            message: "Request body is not valid JSON",
+        };
+    }
+
+    const status = Number.isInteger(err?.status) ? err.status : undefined;
+    if (status && status < 600) {
+        return {
+            status,
+            code:
+                typeof err.code === "string"
+                    ? err.code
+                    : STATUS_CODES[status] || "ERROR",
+            message: err.message,
+            details: err.details,
+        };
+    }
+
+    // Thrown by a traced upstream client (see traceCalls)
+    if (err?.upstream) {
+        return {
+            status: 502,
+            code: STATUS_CODES[502],
+            message: `${err.upstream} request failed`,
+        };
+    }
+    return {
+        status: 500,
+        code: STATUS_CODES[500],
+        message: "Internal server error",
+    };
+}
+
+function errorBody(err) {
+    const { code, message, details } = describe(err);
+    return { error: { code, message, ...(details && { details }) } };
+}
+
+// Express 4 ignores rejected promises; forward them to the error handler
+function wrapHandler(handler) {
+    if (typeof handler !== "function" || handler.length > 3) return handler;
+    return function (req, res, next) {
+        try {
+            const result = handler.call(this, req, res, next);
+            if (result && typeof result.catch === "function") {
+                result.catch(next);
+            }
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+/**
+ * Make every route registered on an app or router async-safe, so a handler
+ * that throws or rejects can't leave the request hanging.
+ * @param {object} router  express() app or express.Router()
+ */
+function catchAsyncErrors(router) {
+    for (const method of ["get", "post", "put", "patch", "delete", "all"]) {
+        const register = router[method];
+        router[method] = function (path, ...handlers) {
+            // app.get("setting") is a getter, not a route
+            if (method === "get" && !handlers.length) {
+                return register.call(this, path);
+            }
+            return register.call(
+                this,
+                path,
+                ...handlers.flat().map(wrapHandler),
+            );
+        };
+    }
+    return router;
+}
+
+function notFound(req, res, next) {
+    next(new HttpError(404, `No route for ${req.method} ${req.path}`));
+}
+
+// Last middleware of the app; Express needs all four parameters
+function errorHandler(err, req, res, next) {
+    const { status, code } = describe(err);
+    if (status >= 500) {
+        logger.error(`[HTTP] ${req.method} ${req.path} failed:`, err);
+    } else {
+        logger.info(`[HTTP] ${req.method} ${req.path} rejected: ${code}`, {
+            status,
+            message: err.message,
+        });
+    }
+
+    // Streaming responses (SSE, long-polls) can only be cut off
+    if (res.headersSent) return res.end();
+    res.status(status).json(errorBody(err));
+}
+
+module.exports = {
+    HttpError,
+    errorBody,
+    catchAsyncErrors,
+    notFound,
+    errorHandler,
+};
@@ -0,0 +1,183 @@
+// === EVENT STREAM ===
+// Server-Sent Events pushed to game clients so they don't have to poll.
+// A stream is opened with a session token; once the token is linked to a
+// wallet the client receives that wallet's events plus broadcasts such as
+// challenge resets. The token may be opened before it is linked, in which
+// case the first event the client sees is "session-linked".
+//
+// Every event gets a global, increasing id and is kept for a while (per
+// wallet in "streamEvents", broadcasts under the "*" key), so a client that
+// reconnects with Last-Event-ID receives everything it missed. If the events
+// it missed were already pruned it gets a "resync" event and should refetch
+// its state.
+
+const { logger } = require("./logger");
+
+const HEARTBEAT_MS = 25 * 1000;
+const UNLINKED_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_EVENTS_PER_LOG = 100;
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const BROADCAST = "*";
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.sessions  Session manager (see lib/sessions)
+ */
+function createEventStream({ store, sessions }) {
+    const subscribers = new Set();
+
+    function nextId() {
+        const id = (store.get("stream", "seq") || 0) + 1;
+        store.set("stream", "seq", id);
+        return id;
+    }
+
+    function readLog(key) {
+        return (
+            store.get("streamEvents", key) || { prunedThrough: 0, events: [] }
+        );
+    }
+
+    function append(key, event) {
+        const log = readLog(key);
+        log.events.push(event);
+
+        const cutoff = Date.now() - RETENTION_MS;
+        while (
+            log.events.length > MAX_EVENTS_PER_LOG ||
+            (log.events.length && Date.parse(log.events[0].at) < cutoff)
+        ) {
+            log.prunedThrough = log.events.shift().id;
+        }
+        store.set("streamEvents", key, log);
+    }
+
+    function write(res, { id, type, data, at }) {
+        res.write(
+            `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, at })}\n\n`,
+        );
+    }
+
+    /**
+     * Record an event for one wallet and push it to its open streams.
+     * @returns {object} the stored event
+     */
+    function publish(wallet, type, data = {}) {
+        const event = {
+            id: nextId(),
+            type,
+            data,
+            at: new Date().toISOString(),
+        };
+        append(wallet, event);
+        for (const sub of subscribers) {
+            if (sub.wallet === wallet) write(sub.res, event);
+        }
+        return event;
+    }
+
+    // Event for every connected client (e.g. a challenge reset)
+    function broadcast(type, data = {}) {
+        const event = {
+            id: nextId(),
+            type,
+            data,
+            at: new Date().toISOString(),
+        };
+        append(BROADCAST, event);
+        for (const sub of subscribers) write(sub.res, event);
+        return event;
+    }
+
+    // Streams opened before their token was linked join the wallet's feed
+    function sessionLinked(token, session) {
+        for (const sub of subscribers) {
+            if (sub.token === token) sub.wallet = session.walletAddress;
+        }
+        publish(session.walletAddress, "session-linked", {
+            sessionId: session.id,
+            walletAddress: session.walletAddress,
+            expiresAt: session.expiresAt,
+        });
+    }
+
+    // Everything after `lastEventId` for this wallet, oldest first
+    function replay(res, wallet, lastEventId) {
+        const logs = [readLog(BROADCAST)];
+        if (wallet) logs.push(readLog(wallet));
+
+        if (logs.some((log) => log.prunedThrough > lastEventId)) {
+            write(res, {
+                id: store.get("stream", "seq") || 0,
+                type: "resync",
+                data: { reason: "Missed events are no longer available" },
+                at: new Date().toISOString(),
+            });
+        }
+        logs.flatMap((log) => log.events)
+            .filter((event) => event.id > lastEventId)
+            .sort((a, b) => a.id - b.id)
+            .forEach((event) => write(res, event));
+    }
+
+    /**
+     * Attach an HTTP response as an SSE stream for `token`.
+     * @param {number} [lastEventId]  Resume point sent by the client
+     */
+    function subscribe(token, req, res, lastEventId) {
+        const session = sessions.get(token);
+        const sub = { token, wallet: session?.walletAddress || null, res };
+        const openedAt = Date.now();
+
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            "X-Accel-Buffering": "no",
+        });
+        res.write(`retry: 5000\n\n`);
+        if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+            replay(res, sub.wallet, lastEventId);
+        }
+        subscribers.add(sub);
+
+        // Heartbeats keep proxies from closing the connection and end
+        // streams whose session was revoked or expired
+        const heartbeat = setInterval(() => {
+            const live = sub.wallet && sessions.get(token, { touch: false });
+            if (sub.wallet && !live) {
+                write(res, {
+                    id: store.get("stream", "seq") || 0,
+                    type: "session-ended",
+                    data: {},
+                    at: new Date().toISOString(),
+                });
+                return res.end();
+            }
+            if (!sub.wallet && Date.now() - openedAt > UNLINKED_TIMEOUT_MS) {
+                return res.end();
+            }
+            res.write(`: ping\n\n`);
+        }, HEARTBEAT_MS);
+
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            subscribers.delete(sub);
+        });
+
+        logger.info(
+            `[STREAM] Client connected (${sub.wallet || "unlinked"}), ${subscribers.size} open`,
+        );
+    }
+
+    return {
+        publish,
+        broadcast,
+        sessionLinked,
+        subscribe,
+        connections: () => subscribers.size,
+    };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,136 @@
+// === GAMES ===
+// One server can host several games. Each game gets its own Honeycomb
+// project, challenge catalog (and with it its reward rules), badge and event
+// catalogs, currency, store namespaces (sessions included) and optionally its
+// own fee payer. The games are listed in the file named by GAMES_FILE:
+//
+//   {
+//       "default": "loop",
+//       "games": [
+//           { "id": "loop", "name": "Cards of Loop" },
+//           {
+//               "id": "puzzle",
+//               "name": "Loop Puzzles",
+//               "challengeCatalog": "./catalog/puzzle/challenges.json",
+//               "currency": { "name": "Puzzle Gems", "symbol": "GEM" },
+//               "coinsPerReward": 2,
+//               "feePayerKeyEnv": "PUZZLE_FEE_PAYER_KEY",
+//               "adminKeyEnv": "PUZZLE_ADMIN_API_KEY"
+//           }
+//       ]
+//   }
+//
+// Every game is served under /games/<id>/; the default game is also served
+// on the unscoped routes and keeps the store namespaces, catalogs and state
+// file of a single-game deployment. Without GAMES_FILE the default game is
+// the only one and is configured from the environment as before.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+const { stateFilePath, CURRENCY } = require("./provisioning");
+
+const GAME_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const DEFAULT_GAME_ID = "default";
+const DEFAULT_FEE_PAYER_ENV = "TREASURER_PRIVATE_KEY";
+const DEFAULT_ADMIN_KEY_ENV = "ADMIN_API_KEY";
+const DEFAULT_INTERNAL_KEY_ENV = "INTERNAL_API_KEY";
+
+// Game config with every optional field resolved. Catalog paths left
+// undefined fall back to the loaders' own env defaults.
+function resolveGame(entry, { isDefault, baseDir, fail }) {
+    if (!GAME_ID_PATTERN.test(entry.id || "")) {
+        fail(`game id "${entry.id}" must match ${GAME_ID_PATTERN}`);
+    }
+    const file = (value) => value && path.resolve(baseDir, value);
+
+    const coinsPerReward = entry.coinsPerReward ?? 1;
+    if (!Number.isInteger(coinsPerReward) || coinsPerReward < 0) {
+        fail(`game ${entry.id} coinsPerReward must be a non-negative integer`);
+    }
+
+    return {
+        id: entry.id,
+        name:
+            entry.name ||
+            (isDefault
+                ? process.env.PROJECT_NAME || "Cards of Loop"
+                : entry.id),
+        isDefault,
+        // The default game keeps the unprefixed namespaces of older stores
+        storePrefix: isDefault ? "" : `game:${entry.id}:`,
+        challengeCatalog: file(entry.challengeCatalog),
+        badgeCatalog: file(entry.badgeCatalog),
+        eventsCatalog: file(entry.eventsCatalog),
+        stateFile:
+            file(entry.stateFile) ||
+            (isDefault
+                ? stateFilePath()
+                : path.join(
+                      path.dirname(stateFilePath()),
+                      `honeycomb-${entry.id}.json`,
+                  )),
+        // Existing project to adopt when the state file has none yet
+        adoptProject:
+            entry.project || (isDefault ? process.env.PROJECT_PUBKEY : null),
+        currency: { ...CURRENCY, ...entry.currency },
+        coinsPerReward,
+        // Name of the env var holding the game's treasurer key, never the key
+        feePayerKeyEnv: entry.feePayerKeyEnv || DEFAULT_FEE_PAYER_ENV,
+        // Likewise for the /admin key and the X-Internal-Key of trusted
+        // backends. Games sharing a variable can be administered together.
+        adminKeyEnv: entry.adminKeyEnv || DEFAULT_ADMIN_KEY_ENV,
+        internalKeyEnv: entry.internalKeyEnv || DEFAULT_INTERNAL_KEY_ENV,
+    };
+}
+
+/**
+ * @param {string} [filePath]  Games file; defaults to GAMES_FILE
+ * @returns {object[]} Resolved games, the default game first
+ */
+function loadGames(filePath = process.env.GAMES_FILE) {
+    if (!filePath) {
+        return [
+            resolveGame(
+                { id: DEFAULT_GAME_ID },
+                { isDefault: true, baseDir: process.cwd(), fail: () => {} },
+            ),
+        ];
+    }
+
+    const fail = (msg) => {
+        throw new Error(`Invalid games file ${filePath}: ${msg}`);
+    };
+    const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!Array.isArray(config.games) || !config.games.length) {
+        fail("needs a non-empty games array");
+    }
+    const defaultId = config.default || config.games[0].id;
+    if (!config.games.some((entry) => entry.id === defaultId)) {
+        fail(`default game "${defaultId}" is not listed`);
+    }
+
+    const baseDir = path.dirname(path.resolve(filePath));
+    const games = config.games.map((entry) =>
+        resolveGame(entry, {
+            isDefault: entry.id === defaultId,
+            baseDir,
+            fail,
+        }),
+    );
+    for (const key of ["id", "stateFile"]) {
+        const seen = new Set();
+        for (const game of games) {
+            if (seen.has(game[key])) fail(`duplicate ${key} ${game[key]}`);
+            seen.add(game[key]);
+        }
+    }
+    games.sort((a, b) => b.isDefault - a.isDefault);
+
+    logger.info(
+        `[GAMES] Loaded ${games.length} games from ${filePath} (default: ${defaultId})`,
+    );
+    return games;
+}
+
+module.exports = { loadGames };
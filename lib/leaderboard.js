@@ -0,0 +1,145 @@
+// === LEADERBOARDS ===
+// Rankings are built from per-day stats the server records as players earn
+// XP and complete challenges ("stats" namespace, keyed by day). Sorted boards
+// are cached and rebuilt at most every few seconds, and only after new stats
+// arrive, so the game can fetch them on every menu load.
+
+const PERIODS = ["daily", "weekly", "alltime"];
+const METRICS = ["xp", "completed", "streak"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_REBUILD_MS = 5 * 1000;
+
+function addDays(dayKey, days) {
+    return new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * DAY_MS)
+        .toISOString()
+        .slice(0, 10);
+}
+
+// Monday-based week containing dayKey
+function weekDays(dayKey) {
+    const weekday = (new Date(`${dayKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const monday = addDays(dayKey, -weekday);
+    return Array.from({ length: weekday + 1 }, (_, i) => addDays(monday, i));
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {() => string} deps.currentDay  Current challenge day key
+ * @param {() => Array<[string, number]>} deps.streaks  [wallet, current streak] pairs
+ */
+function createLeaderboard({ store, currentDay, streaks }) {
+    const cache = new Map(); // `${period}:${metric}` -> { builtAt, version, rows }
+    let version = 0;
+
+    function record(wallet, { xp = 0, completed = 0, allCompleted } = {}) {
+        const dayKey = currentDay();
+        const day = store.get("stats", dayKey) || {};
+        const entry = day[wallet] || {
+            xp: 0,
+            completed: 0,
+            allCompleted: false,
+        };
+        entry.xp += xp;
+        entry.completed += completed;
+        if (allCompleted) entry.allCompleted = true;
+        day[wallet] = entry;
+        store.set("stats", dayKey, day);
+
+        const totals = store.get("statsTotals", wallet) || {
+            xp: 0,
+            completed: 0,
+        };
+        totals.xp += xp;
+        totals.completed += completed;
+        store.set("statsTotals", wallet, totals);
+
+        version++;
+    }
+
+    function scores(period, metric) {
+        // Streaks are a current state, so every period ranks the same way
+        if (metric === "streak") {
+            return streaks();
+        }
+        if (period === "alltime") {
+            return store
+                .entries("statsTotals")
+                .map(([wallet, totals]) => [wallet, totals[metric]]);
+        }
+
+        const days =
+            period === "daily" ? [currentDay()] : weekDays(currentDay());
+        const sums = new Map();
+        for (const dayKey of days) {
+            for (const [wallet, entry] of Object.entries(
+                store.get("stats", dayKey) || {},
+            )) {
+                sums.set(wallet, (sums.get(wallet) || 0) + entry[metric]);
+            }
+        }
+        return [...sums];
+    }
+
+    function board(period, metric) {
+        const key = `${period}:${metric}`;
+        const cached = cache.get(key);
+        const now = Date.now();
+        if (
+            cached &&
+            cached.dayKey === currentDay() &&
+            (cached.version === version ||
+                now - cached.builtAt < MIN_REBUILD_MS)
+        ) {
+            return cached.rows;
+        }
+
+        const sorted = scores(period, metric)
+            .filter(([, score]) => score > 0)
+            .sort(([wa, a], [wb, b]) => b - a || (wa < wb ? -1 : 1));
+
+        // Standard competition ranking: ties share a rank ("1224")
+        const rows = [];
+        const index = new Map();
+        sorted.forEach(([wallet, score], i) => {
+            const rank =
+                i > 0 && score === sorted[i - 1][1] ? rows[i - 1].rank : i + 1;
+            rows.push({ rank, wallet, score });
+            index.set(wallet, i);
+        });
+        rows.index = index;
+
+        cache.set(key, { rows, version, builtAt: now, dayKey: currentDay() });
+        return rows;
+    }
+
+    function top({ period = "daily", metric = "xp", limit = 10 } = {}) {
+        return board(period, metric).slice(0, limit);
+    }
+
+    function around(
+        wallet,
+        { period = "daily", metric = "xp", radius = 2 } = {},
+    ) {
+        const rows = board(period, metric);
+        const i = rows.index.get(wallet);
+        if (i === undefined) {
+            return { rank: null, score: 0, total: rows.length, neighbours: [] };
+        }
+        return {
+            rank: rows[i].rank,
+            score: rows[i].score,
+            total: rows.length,
+            neighbours: rows.slice(Math.max(0, i - radius), i + radius + 1),
+        };
+    }
+
+    function totals(wallet) {
+        return store.get("statsTotals", wallet) || { xp: 0, completed: 0 };
+    }
+
+    return { record, top, around, totals };
+}
+
+module.exports = { createLeaderboard, PERIODS, METRICS, addDays };
@@ -0,0 +1,198 @@
+// === LOGGER ===
+// Structured JSON logs, one object per line. The level comes from LOG_LEVEL
+// (debug | info | warn | error, default info). A leading "[TAG]" in the
+// message becomes the `component` field, and the request id of the current
+// HTTP request (see requestContext) is attached to every line logged while
+// handling it, including Honeycomb calls made on its behalf.
+//
+// Secrets never reach the output: fields named like tokens, signatures,
+// keys or authorization headers are replaced, and JWT-looking strings are
+// masked wherever they appear.
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = "[REDACTED]";
+const SECRET_KEYS = new Set([
+    "accesstoken",
+    "authorization",
+    "cookie",
+    "devicesecret",
+    "privatekey",
+    "secretkey",
+    "sessiontoken",
+    "signature",
+    "token",
+    "treasurer_private_key",
+    "x-admin-key",
+    "apikey",
+]);
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+function isSecretKey(key) {
+    const normalized = String(key).toLowerCase();
+    return (
+        SECRET_KEYS.has(normalized) ||
+        normalized.endsWith("secret") ||
+        normalized.endsWith("privatekey")
+    );
+}
+
+function serializeError(err) {
+    return {
+        name: err.name,
+        message: redactString(err.message),
+        ...(err.code !== undefined && { code: err.code }),
+        ...(err.status !== undefined && { status: err.status }),
+        stack: err.stack,
+    };
+}
+
+function redactString(value) {
+    return value.replace(JWT_PATTERN, REDACTED);
+}
+
+// Deep copy with secrets masked; safe on cycles, BigInts and typed arrays
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === "string") return redactString(value);
+    if (typeof value === "bigint") return value.toString();
+    if (value === null || typeof value !== "object") return value;
+    if (value instanceof Error) return serializeError(value);
+    if (ArrayBuffer.isView(value)) return `[${value.constructor.name}]`;
+    if (typeof value.toBase58 === "function") return value.toBase58();
+    if (seen.has(value)) return "[Circular]";
+    if (depth >= MAX_DEPTH) return "[Object]";
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1, seen));
+    }
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+        out[key] = isSecretKey(key) ? REDACTED : redact(item, depth + 1, seen);
+    }
+    return out;
+}
+
+// console-style trailing arguments -> fields
+function toFields(args) {
+    if (!args.length) return {};
+    if (args.length === 1) {
+        const [arg] = args;
+        if (arg instanceof Error) return { err: arg };
+        if (arg && typeof arg === "object" && !Array.isArray(arg)) {
+            return arg;
+        }
+        return { data: arg };
+    }
+    return { data: args };
+}
+
+function createLogger({
+    level = process.env.LOG_LEVEL || "info",
+    bindings = {},
+    write = (line, severity) =>
+        (severity >= LEVELS.warn ? process.stderr : process.stdout).write(
+            `${line}\n`,
+        ),
+} = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    function emit(name, msg, args) {
+        const severity = LEVELS[name];
+        if (severity < threshold) return;
+
+        let text = typeof msg === "string" ? msg : JSON.stringify(redact(msg));
+        let component;
+        const tag = /^\[([^\]]+)\]\s*/.exec(text);
+        if (tag) {
+            component = tag[1].toLowerCase();
+            text = text.slice(tag[0].length);
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: name,
+            ...(component && { component }),
+            msg: redactString(text),
+            ...bindings,
+            ...requestContext.getStore(),
+            ...redact(toFields(args)),
+        };
+        write(JSON.stringify(entry), severity);
+    }
+
+    return {
+        level,
+        debug: (msg, ...args) => emit("debug", msg, args),
+        info: (msg, ...args) => emit("info", msg, args),
+        warn: (msg, ...args) => emit("warn", msg, args),
+        error: (msg, ...args) => emit("error", msg, args),
+        isLevelEnabled: (name) => LEVELS[name] >= threshold,
+        child: (extra) =>
+            createLogger({ level, bindings: { ...bindings, ...extra }, write }),
+    };
+}
+
+const logger = createLogger();
+
+/**
+ * Wrap an API client so every asynchronous method call is logged with its
+ * duration and outcome (under the current request id). Synchronous methods
+ * pass through untouched.
+ * @param {object} target  e.g. the Honeycomb edge client
+ * @param {string} component  Log component name
+ * @param {object} [options]
+ * @param {(call: {method: string, durationMs: number, ok: boolean}) => void}
+ *   [options.onCall]  Called after each traced call, e.g. to record metrics
+ */
+function traceCalls(target, component, { onCall } = {}) {
+    const log = logger.child({ component });
+
+    function finish(method, start, err) {
+        const durationMs = Date.now() - start;
+        if (err) {
+            // Lets the HTTP error handler answer 502, not 500
+            if (typeof err === "object") err.upstream ??= component;
+            log.warn(`${method} failed`, { method, durationMs, err });
+        } else {
+            log.debug(`${method} ok`, { method, durationMs });
+        }
+        onCall?.({ method, durationMs, ok: !err });
+    }
+
+    return new Proxy(target, {
+        get(obj, prop, receiver) {
+            const value = Reflect.get(obj, prop, receiver);
+            if (typeof value !== "function") return value;
+
+            const method = String(prop);
+            return function (...args) {
+                const start = Date.now();
+                const result = value.apply(obj, args);
+                if (typeof result?.then !== "function") return result;
+                return result.then(
+                    (resolved) => {
+                        finish(method, start);
+                        return resolved;
+                    },
+                    (err) => {
+                        finish(method, start, err);
+                        throw err;
+                    },
+                );
+            };
+        },
+    });
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    requestContext,
+    traceCalls,
+    redact,
+};
@@ -0,0 +1,202 @@
+// === METRICS ===
+// In-process counters, gauges and histograms rendered in the Prometheus
+// text exposition format (version 0.0.4) for GET /metrics. Values live in
+// memory only and start from zero on every boot, as Prometheus expects.
+//
+// Gauges that are cheap to read at scrape time (sessions, balance) take a
+// `collect` function instead of being kept up to date by hand.
+
+const { logger } = require("./logger");
+
+// Seconds; covers fast store-only routes up to slow on-chain confirmations
+const DEFAULT_BUCKETS = [
+    0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30,
+];
+
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/\n/g, "\\n")
+        .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels);
+    if (!pairs.length) return "";
+    return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    if (value === -Infinity) return "-Inf";
+    return String(value);
+}
+
+// Series are keyed by their label values in declaration order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(
+        labelNames.map((name) => [name, labels[name] ?? ""]),
+    );
+}
+
+function createMetrics() {
+    const registry = new Map();
+
+    function register(name, metric) {
+        if (registry.has(name)) {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+        registry.set(name, metric);
+        return metric;
+    }
+
+    /**
+     * Monotonic counter.
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     */
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        return register(name, {
+            type: "counter",
+            help,
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                const entry = series.get(key) || {
+                    labels: pickLabels(labelNames, labels),
+                    value: 0,
+                };
+                entry.value += value;
+                series.set(key, entry);
+            },
+            samples: () =>
+                [...series.values()].map(({ labels, value }) => ({
+                    name,
+                    labels,
+                    value,
+                })),
+        });
+    }
+
+    /**
+     * Value that can go up and down. Either set() it, or pass `collect`
+     * returning a number or a list of [labels, value] pairs (may be async).
+     */
+    function gauge(name, help, { labelNames = [], collect } = {}) {
+        const series = new Map();
+        return register(name, {
+            type: "gauge",
+            help,
+            set(labels, value) {
+                if (typeof labels === "number") [labels, value] = [{}, labels];
+                series.set(seriesKey(labelNames, labels), {
+                    labels: pickLabels(labelNames, labels),
+                    value,
+                });
+            },
+            async samples() {
+                if (!collect) {
+                    return [...series.values()].map(({ labels, value }) => ({
+                        name,
+                        labels,
+                        value,
+                    }));
+                }
+                const result = await collect();
+                const pairs = Array.isArray(result) ? result : [[{}, result]];
+                return pairs
+                    .filter(([, value]) => Number.isFinite(value))
+                    .map(([labels, value]) => ({
+                        name,
+                        labels: pickLabels(labelNames, labels),
+                        value,
+                    }));
+            },
+        });
+    }
+
+    /**
+     * Distribution of observed values (e.g. durations in seconds).
+     * @param {number[]} [buckets]  Upper bounds, ascending
+     */
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        return register(name, {
+            type: "histogram",
+            help,
+            observe(labels, value) {
+                const key = seriesKey(labelNames, labels);
+                let entry = series.get(key);
+                if (!entry) {
+                    entry = {
+                        labels: pickLabels(labelNames, labels),
+                        counts: buckets.map(() => 0),
+                        sum: 0,
+                        count: 0,
+                    };
+                    series.set(key, entry);
+                }
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+            },
+            samples: () =>
+                [...series.values()].flatMap(
+                    ({ labels, counts, sum, count }) => [
+                        ...buckets.map((bound, i) => ({
+                            name: `${name}_bucket`,
+                            labels: { ...labels, le: formatValue(bound) },
+                            value: counts[i],
+                        })),
+                        {
+                            name: `${name}_bucket`,
+                            labels: { ...labels, le: "+Inf" },
+                            value: count,
+                        },
+                        { name: `${name}_sum`, labels, value: sum },
+                        { name: `${name}_count`, labels, value: count },
+                    ],
+                ),
+        });
+    }
+
+    // Text exposition of every registered metric
+    async function render() {
+        const blocks = [];
+        for (const [name, metric] of registry) {
+            let samples;
+            try {
+                samples = await metric.samples();
+            } catch (err) {
+                // One broken collector shouldn't cost the whole scrape
+                logger.warn(
+                    `[METRICS] Collecting ${name} failed:`,
+                    err.message,
+                );
+                continue;
+            }
+            blocks.push(
+                [
+                    `# HELP ${name} ${metric.help}`,
+                    `# TYPE ${name} ${metric.type}`,
+                    ...samples.map(
+                        (s) =>
+                            `${s.name}${formatLabels(s.labels)} ${formatValue(s.value)}`,
+                    ),
+                ].join("\n"),
+            );
+        }
+        return `${blocks.join("\n")}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
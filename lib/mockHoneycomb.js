@@ -0,0 +1,452 @@
+// === MOCK HONEYCOMB ===
+// In-memory stand-ins for the Honeycomb edge client, the Solana connection
+// and sendTransactionForTests, enabled with HONEYCOMB_MODE=mock so the whole
+// API runs locally with no network.
+//
+// Each create*Transaction call returns a transaction whose payload is only a
+// handle to a queued operation; the operation is applied when the mock
+// sendTransaction is called, mirroring the build -> sign -> send flow of the
+// real client. Only the calls the server uses are implemented.
+
+const crypto = require("crypto");
+const bs58 = require("bs58");
+const nacl = require("tweetnacl");
+const { Keypair, PublicKey, LAMPORTS_PER_SOL } = require("@solana/web3.js");
+
+const MOCK_FEE_LAMPORTS = 5000;
+
+function randomAddress() {
+    return Keypair.generate().publicKey.toBase58();
+}
+
+function createMockHoneycomb() {
+    const projects = new Map(); // address -> project
+    const users = new Map(); // wallet -> user
+    const profiles = new Map(); // address -> profile
+    const resources = new Map(); // address -> resource
+    const holdings = new Map(); // "resource:wallet" -> BigInt balance
+    const authMessages = new Map(); // wallet -> pending auth message
+    const pendingOps = new Map(); // tx handle -> () => void
+    const balances = new Map(); // address -> lamports
+    const sentTxs = new Map(); // signature -> { fee payer balances }
+    let nextUserId = 1;
+
+    function queueTx(apply) {
+        const handle = `mock:${crypto.randomUUID()}`;
+        pendingOps.set(handle, apply);
+        return {
+            transaction: handle,
+            blockhash: bs58.encode(crypto.randomBytes(32)),
+            lastValidBlockHeight: 0,
+        };
+    }
+
+    function matches(filter, value) {
+        return !filter || filter.map(String).includes(String(value));
+    }
+
+    // Honeycomb customData is a VecMap: { key: [value, ...] }
+    function applyCustomData(target, { add, remove } = {}) {
+        const entries = Array.isArray(add)
+            ? add
+            : Object.entries(add || {}).map(([k, v]) => [
+                  k,
+                  ...(Array.isArray(v) ? v : [v]),
+              ]);
+        for (const [key, ...values] of entries) target[key] = values;
+        for (const key of remove || []) delete target[key];
+    }
+
+    // Power of two, like the depth of a real concurrent merkle tree
+    function treeCapacity(treeConfig) {
+        const assets = treeConfig?.basic?.numAssets || 1;
+        return 2 ** Math.ceil(Math.log2(assets));
+    }
+
+    function newProfile({ project, wallet, identity, info }) {
+        const trees = projects.get(String(project))?.profileTrees;
+        const treeId = trees?.merkle_trees[trees.active];
+        if (!treeId) throw new Error("Project has no profiles tree");
+        const profile = {
+            address: randomAddress(),
+            project: String(project),
+            tree_id: treeId,
+            leaf_idx: String(
+                [...profiles.values()].filter((p) => p.tree_id === treeId)
+                    .length,
+            ),
+            identity: identity || "main",
+            info: info || {},
+            userId: users.get(wallet)?.id,
+            platformData: { xp: "0", achievements: [], custom: {} },
+            customData: {},
+            wallet,
+        };
+        profiles.set(profile.address, profile);
+        return profile;
+    }
+
+    const client = {
+        apiUrl: "mock://honeycomb",
+        network: "mock",
+
+        async findProjects({ addresses, authorities } = {}) {
+            return {
+                project: [...projects.values()].filter(
+                    (p) =>
+                        matches(addresses, p.address) &&
+                        matches(authorities, p.authority),
+                ),
+            };
+        },
+
+        async createCreateProjectTransaction({ name, authority }) {
+            const address = randomAddress();
+            return {
+                createCreateProjectTransaction: {
+                    project: address,
+                    tx: queueTx(() =>
+                        projects.set(address, {
+                            address,
+                            name,
+                            authority,
+                            profileTrees: { active: 0, merkle_trees: [] },
+                            badgeCriteria: [],
+                            createdAt: new Date().toISOString(),
+                        }),
+                    ),
+                },
+            };
+        },
+
+        async createCreateProfilesTreeTransaction({ project, treeConfig }) {
+            const treeAddress = randomAddress();
+            return {
+                createCreateProfilesTreeTransaction: {
+                    treeAddress,
+                    maxTreeCapacity: treeCapacity(treeConfig),
+                    tx: queueTx(() => {
+                        const p = projects.get(String(project));
+                        if (!p) throw new Error("Project not found");
+                        p.profileTrees.merkle_trees.push(treeAddress);
+                        p.profileTrees.active =
+                            p.profileTrees.merkle_trees.length - 1;
+                    }),
+                },
+            };
+        },
+
+        async createInitializeBadgeCriteriaTransaction({ args }) {
+            return {
+                createInitializeBadgeCriteriaTransaction: queueTx(() => {
+                    const p = projects.get(String(args.projectAddress));
+                    if (!p) throw new Error("Project not found");
+                    if (
+                        p.badgeCriteria.some((c) => c.index === args.badgeIndex)
+                    ) {
+                        throw new Error("Badge criteria already exists");
+                    }
+                    p.badgeCriteria.push({
+                        index: args.badgeIndex,
+                        condition: args.condition,
+                        startTime: String(args.startTime || 0),
+                        endTime: String(args.endTime || 0),
+                    });
+                }),
+            };
+        },
+
+        async findUsers({ wallets } = {}) {
+            return {
+                user: [...users.values()].filter((u) =>
+                    matches(wallets, u.wallet),
+                ),
+            };
+        },
+
+        async findProfiles({ wallets, projects: projectFilter } = {}) {
+            return {
+                profile: [...profiles.values()].filter(
+                    (p) =>
+                        matches(wallets, p.wallet) &&
+                        matches(projectFilter, p.project),
+                ),
+            };
+        },
+
+        async createNewUserWithProfileTransaction({
+            project,
+            wallet,
+            profileIdentity,
+            userInfo,
+        }) {
+            return {
+                createNewUserWithProfileTransaction: queueTx(() => {
+                    if (!users.has(wallet)) {
+                        users.set(wallet, {
+                            id: nextUserId++,
+                            wallet,
+                            info: userInfo || {},
+                        });
+                    }
+                    newProfile({
+                        project,
+                        wallet,
+                        identity: profileIdentity,
+                        info: userInfo,
+                    });
+                }),
+            };
+        },
+
+        async createNewProfileTransaction({ project, identity, info, payer }) {
+            return {
+                createNewProfileTransaction: queueTx(() =>
+                    newProfile({ project, wallet: payer, identity, info }),
+                ),
+            };
+        },
+
+        async createUpdateProfileTransaction({ profile, info, customData }) {
+            return {
+                createUpdateProfileTransaction: queueTx(() => {
+                    const p = profiles.get(String(profile));
+                    if (!p) throw new Error("Profile not found");
+                    if (info) Object.assign(p.info, info);
+                    applyCustomData(p.customData, customData);
+                }),
+            };
+        },
+
+        async createUpdatePlatformDataTransaction({ profile, platformData }) {
+            return {
+                createUpdatePlatformDataTransaction: queueTx(() => {
+                    const p = profiles.get(String(profile));
+                    if (!p) throw new Error("Profile not found");
+                    const data = p.platformData;
+                    if (platformData?.addXp) {
+                        data.xp = String(
+                            BigInt(data.xp) + BigInt(platformData.addXp),
+                        );
+                    }
+                    for (const a of platformData?.addAchievements || []) {
+                        if (!data.achievements.includes(a)) {
+                            data.achievements.push(a);
+                        }
+                    }
+                    applyCustomData(data.custom, platformData?.custom);
+                }),
+            };
+        },
+
+        async findResources({ addresses, projects: projectFilter } = {}) {
+            return {
+                resources: [...resources.values()].filter(
+                    (r) =>
+                        matches(addresses, r.address) &&
+                        matches(projectFilter, r.project),
+                ),
+            };
+        },
+
+        async findResourcesBalance({ addresses, wallets } = {}) {
+            const resourcesBalance = [];
+            for (const r of resources.values()) {
+                if (!matches(addresses, r.address)) continue;
+                for (const wallet of wallets || []) {
+                    const amount = holdings.get(`${r.address}:${wallet}`);
+                    if (amount === undefined) continue;
+                    resourcesBalance.push({
+                        address: r.address,
+                        amount: String(amount),
+                        mint: r.mint,
+                        wallet,
+                        resourceStorage: r.storage.kind,
+                    });
+                }
+            }
+            return { resourcesBalance };
+        },
+
+        async createCreateNewResourceTransaction({ project, params }) {
+            const address = randomAddress();
+            return {
+                createCreateNewResourceTransaction: {
+                    resource: address,
+                    tx: queueTx(() => {
+                        if (!projects.has(String(project))) {
+                            throw new Error("Project not found");
+                        }
+                        resources.set(address, {
+                            address,
+                            project: String(project),
+                            mint: randomAddress(),
+                            tags: params.tags || [],
+                            kind: {
+                                kind: "HplFungible",
+                                params: { decimals: params.decimals },
+                            },
+                            storage: {
+                                kind: params.storage,
+                                params: {
+                                    promiseSupply: "0",
+                                    merkle_trees: {
+                                        active: 0,
+                                        merkle_trees: [],
+                                        schema: null,
+                                    },
+                                },
+                            },
+                        });
+                    }),
+                },
+            };
+        },
+
+        async createCreateNewResourceTreeTransaction({ resource, treeConfig }) {
+            const treeAddress = randomAddress();
+            return {
+                createCreateNewResourceTreeTransaction: {
+                    treeAddress,
+                    maxTreeCapacity: treeCapacity(treeConfig),
+                    tx: queueTx(() => {
+                        const r = resources.get(String(resource));
+                        if (!r) throw new Error("Resource not found");
+                        const trees = r.storage.params.merkle_trees;
+                        trees.merkle_trees.push(treeAddress);
+                        trees.active = trees.merkle_trees.length - 1;
+                    }),
+                },
+            };
+        },
+
+        async createMintResourceTransaction({ resource, owner, amount }) {
+            return {
+                createMintResourceTransaction: queueTx(() => {
+                    const r = resources.get(String(resource));
+                    if (!r) throw new Error("Resource not found");
+                    if (
+                        r.storage.kind === "LedgerState" &&
+                        !r.storage.params.merkle_trees.merkle_trees.length
+                    ) {
+                        throw new Error("Resource has no tree");
+                    }
+                    const key = `${r.address}:${owner}`;
+                    holdings.set(
+                        key,
+                        (holdings.get(key) || 0n) + BigInt(amount),
+                    );
+                }),
+            };
+        },
+
+        async createBurnResourceTransaction({
+            resource,
+            amount,
+            authority,
+            owner,
+        }) {
+            return {
+                createBurnResourceTransaction: queueTx(() => {
+                    const key = `${resource}:${owner || authority}`;
+                    const balance = holdings.get(key) || 0n;
+                    if (balance < BigInt(amount)) {
+                        throw new Error("Insufficient resource balance");
+                    }
+                    holdings.set(key, balance - BigInt(amount));
+                }),
+            };
+        },
+
+        async authRequest({ wallet }) {
+            const message = `Please sign this message to authenticate with the mock Honeycomb edge: ${crypto.randomUUID()}`;
+            authMessages.set(wallet, message);
+            return { authRequest: { message } };
+        },
+
+        async authConfirm({ wallet, signature }) {
+            const message = authMessages.get(wallet);
+            const valid =
+                message &&
+                nacl.sign.detached.verify(
+                    new TextEncoder().encode(message),
+                    bs58.decode(signature),
+                    new PublicKey(wallet).toBytes(),
+                );
+            if (!valid) throw new Error("Invalid auth signature");
+            authMessages.delete(wallet);
+
+            // Unsigned JWT-shaped token so callers can read `exp` like the real one
+            const encode = (obj) =>
+                Buffer.from(JSON.stringify(obj)).toString("base64url");
+            const now = Math.floor(Date.now() / 1000);
+            const accessToken = [
+                encode({ alg: "none", typ: "JWT" }),
+                encode({ sub: wallet, iat: now, exp: now + 24 * 60 * 60 }),
+                "mock",
+            ].join(".");
+
+            return { authConfirm: { accessToken, user: users.get(wallet) } };
+        },
+    };
+
+    const connection = {
+        rpcEndpoint: "mock://solana",
+
+        async getBalance(publicKey) {
+            const key = publicKey.toString();
+            if (!balances.has(key)) balances.set(key, 10 * LAMPORTS_PER_SOL);
+            return balances.get(key);
+        },
+
+        async getAccountInfo(publicKey) {
+            return {
+                lamports: await connection.getBalance(publicKey),
+                owner: PublicKey.default,
+                executable: false,
+                data: Buffer.alloc(0),
+            };
+        },
+
+        // Only the fee payer's balances, which is what the treasury reads
+        async getTransaction(signature) {
+            const sent = sentTxs.get(signature);
+            return sent ? { slot: 0, meta: { err: null, ...sent } } : null;
+        },
+    };
+
+    // Same signature as sendTransactionForTests(client, tx, signers)
+    async function sendTransaction(_client, tx, signers = []) {
+        const handle = tx?.transaction;
+        const apply = pendingOps.get(handle);
+        if (!apply) {
+            return { status: "Failed", error: "Unknown mock transaction" };
+        }
+        pendingOps.delete(handle);
+
+        const feePayer = signers[0]?.publicKey;
+        let fee = null;
+        if (feePayer) {
+            const balance = await connection.getBalance(feePayer);
+            balances.set(feePayer.toString(), balance - MOCK_FEE_LAMPORTS);
+            fee = {
+                fee: MOCK_FEE_LAMPORTS,
+                preBalances: [balance],
+                postBalances: [balance - MOCK_FEE_LAMPORTS],
+            };
+        }
+
+        try {
+            apply();
+        } catch (err) {
+            return { status: "Failed", error: err.message };
+        }
+        const signature = bs58.encode(crypto.randomBytes(64));
+        if (fee) sentTxs.set(signature, fee);
+        return { status: "Success", signature };
+    }
+
+    return { client, connection, sendTransaction };
+}
+
+module.exports = { createMockHoneycomb };
@@ -0,0 +1,248 @@
+// === DEVICE PAIRING ===
+// Device-authorization flow between the Love2D client and the web wallet:
+//
+//   1. Game:  POST /pair/start          -> { code, deviceSecret, expiresAt }
+//   2. Web:   POST /pair/confirm        -> wallet signs "Approve game pairing: <code>"
+//   3. Game:  POST /pair/poll (long-poll with deviceSecret) -> approved + sessionToken
+//
+// The short code is only good for approving; the session token is handed to
+// whoever holds the device secret, so seeing someone's code on stream doesn't
+// let you take over their game.
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { logger } = require("./logger");
+
+// No 0/O, 1/I/L: codes are typed by hand
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const MAX_WAIT_MS = 30 * 1000;
+
+function normalizeCode(code) {
+    return String(code || "")
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, "");
+}
+
+function formatCode(raw) {
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
+
+function randomCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = "";
+    for (const b of bytes) code += CODE_ALPHABET[b % CODE_ALPHABET.length];
+    return code;
+}
+
+function hashSecret(secret) {
+    return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function pairingMessage(code, approve = true) {
+    return `${approve ? "Approve" : "Deny"} game pairing: ${formatCode(normalizeCode(code))}`;
+}
+
+class PairingError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.sessions  Session manager (see sessions.js)
+ * @param {(message: string, signature: string, wallet: string) => boolean} deps.verifySignature
+ * @param {number} [deps.maxPending]  Live pending codes allowed at once
+ */
+function createPairingService({
+    store,
+    sessions,
+    verifySignature,
+    codeTtlMs = Number(process.env.PAIRING_CODE_TTL_MS) || 10 * 60 * 1000,
+    maxPending = Number(process.env.PAIRING_MAX_PENDING) || 1000,
+}) {
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+
+    function isExpired(pairing) {
+        return Date.parse(pairing.expiresAt) <= Date.now();
+    }
+
+    function pendingCount() {
+        return store
+            .entries("pairings")
+            .filter(([, p]) => p.status === "pending" && !isExpired(p)).length;
+    }
+
+    // Anyone can start a pairing, so the codes waiting for approval (all of
+    // them persisted) are capped; expired ones are swept later
+    function start() {
+        if (pendingCount() >= maxPending) {
+            logger.warn(`[PAIR] ${maxPending} pairings pending, refusing more`);
+            throw new PairingError(
+                503,
+                "Too many pairings in progress; try again in a few minutes",
+            );
+        }
+
+        let code;
+        do {
+            code = randomCode();
+        } while (store.get("pairings", code));
+
+        const deviceSecret = crypto.randomBytes(32).toString("base64url");
+        const now = Date.now();
+        const pairing = {
+            code,
+            status: "pending",
+            secretHash: hashSecret(deviceSecret),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + codeTtlMs).toISOString(),
+        };
+        store.set("pairings", code, pairing);
+        store.set("pairingSecrets", pairing.secretHash, code);
+
+        return {
+            code: formatCode(code),
+            deviceSecret,
+            expiresAt: pairing.expiresAt,
+            message: pairingMessage(code),
+        };
+    }
+
+    function describe(code) {
+        const pairing = store.get("pairings", normalizeCode(code));
+        if (!pairing) throw new PairingError(404, "Unknown pairing code");
+        return {
+            code: formatCode(pairing.code),
+            status: isExpired(pairing) ? "expired" : pairing.status,
+            expiresAt: pairing.expiresAt,
+        };
+    }
+
+    function confirm(
+        code,
+        { walletAddress, signature, accessToken, approve = true },
+    ) {
+        const key = normalizeCode(code);
+        const pairing = store.get("pairings", key);
+        if (!pairing) throw new PairingError(404, "Unknown pairing code");
+        if (isExpired(pairing)) throw new PairingError(410, "Code expired");
+        if (pairing.status !== "pending") {
+            throw new PairingError(409, `Pairing already ${pairing.status}`);
+        }
+        if (
+            !signature ||
+            !verifySignature(
+                pairingMessage(key, approve),
+                signature,
+                walletAddress,
+            )
+        ) {
+            throw new PairingError(401, "Invalid signature");
+        }
+
+        // Link the session first so a refused one leaves the code pending
+        if (approve) {
+            const sessionToken = crypto.randomBytes(32).toString("base64url");
+            sessions.create(sessionToken, {
+                walletAddress,
+                signature,
+                accessToken,
+            });
+            pairing.sessionToken = sessionToken;
+        }
+        pairing.walletAddress = walletAddress;
+        pairing.resolvedAt = new Date().toISOString();
+        pairing.status = approve ? "approved" : "denied";
+        store.set("pairings", key, pairing);
+        events.emit(key);
+        logger.info(
+            `[PAIR] ${formatCode(key)} ${pairing.status} by ${walletAddress}`,
+        );
+
+        return { code: formatCode(key), status: pairing.status };
+    }
+
+    // Final answer for the device; approved/denied pairings are single-use
+    function settle(pairing) {
+        const result = {
+            status:
+                isExpired(pairing) && pairing.status === "pending"
+                    ? "expired"
+                    : pairing.status,
+        };
+        if (result.status === "pending") {
+            return { ...result, expiresAt: pairing.expiresAt };
+        }
+
+        if (result.status === "approved") {
+            result.sessionToken = pairing.sessionToken;
+            result.walletAddress = pairing.walletAddress;
+        }
+        store.delete("pairings", pairing.code);
+        store.delete("pairingSecrets", pairing.secretHash);
+        return result;
+    }
+
+    /**
+     * Long-poll for the outcome of a pairing.
+     * Resolves as soon as it is approved, denied or expired, or with
+     * { status: "pending" } after waitMs so the client can poll again.
+     * @param {AbortSignal} [signal]  Aborts the wait when the client hangs up
+     */
+    function wait(deviceSecret, waitMs = MAX_WAIT_MS, signal) {
+        const code = store.get("pairingSecrets", hashSecret(deviceSecret));
+        const pairing = code && store.get("pairings", code);
+        if (!pairing) throw new PairingError(404, "Unknown device secret");
+
+        if (pairing.status !== "pending" || isExpired(pairing)) {
+            return Promise.resolve(settle(pairing));
+        }
+
+        const timeout = Math.min(
+            Math.max(Number(waitMs) || 0, 0),
+            MAX_WAIT_MS,
+            Date.parse(pairing.expiresAt) - Date.now(),
+        );
+
+        return new Promise((resolve) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                events.off(code, finish);
+                signal?.removeEventListener("abort", abort);
+            };
+            const finish = () => {
+                cleanup();
+                const latest = store.get("pairings", code);
+                resolve(latest ? settle(latest) : { status: "expired" });
+            };
+            // Don't consume an approval nobody is listening for any more
+            const abort = () => {
+                cleanup();
+                resolve({ status: "pending" });
+            };
+            const timer = setTimeout(finish, timeout);
+            events.on(code, finish);
+            signal?.addEventListener("abort", abort);
+        });
+    }
+
+    function sweep() {
+        // Keep expired codes a little while so late polls see "expired"
+        const cutoff = Date.now() - codeTtlMs;
+        for (const [code, pairing] of store.entries("pairings")) {
+            if (Date.parse(pairing.expiresAt) < cutoff) {
+                store.delete("pairings", code);
+                store.delete("pairingSecrets", pairing.secretHash);
+            }
+        }
+    }
+
+    return { start, describe, confirm, wait, sweep, pairingMessage };
+}
+
+module.exports = { createPairingService, pairingMessage };
@@ -0,0 +1,370 @@
+// === PROVISIONING ===
+// Everything the game needs on Honeycomb: the project, its profile trees,
+// the badge criteria of the catalog and the currency resource with its tree.
+//
+// `npm run provision` (scripts/provision.js) creates what is missing and
+// verifies what exists, and can be re-run at any time: an address it has
+// recorded is only ever verified, never replaced. The addresses are written
+// to the state file (HONEYCOMB_STATE_FILE) after every step, so a run that
+// fails halfway resumes where it stopped. The server only reads that file
+// and refuses to start if anything in it is missing on-chain.
+
+const fs = require("fs");
+const path = require("path");
+const { ResourceStorageEnum } = require("@honeycomb-protocol/edge-client");
+const { logger } = require("./logger");
+
+const DEFAULT_STATE_FILE = "./data/honeycomb.json";
+const DEFAULT_TREE_ASSETS = 100000;
+// A new profiles tree is added once the active one is this full
+const DEFAULT_FILL_THRESHOLD = 0.9;
+
+const CURRENCY = {
+    name: process.env.CURRENCY_NAME || "Loop Coins",
+    symbol: process.env.CURRENCY_SYMBOL || "LOOP",
+    uri: process.env.CURRENCY_URI || "",
+};
+// Tag that finds our resource among the project's again if the state file
+// is lost
+const currencyTag = (currency) => `currency:${currency.symbol}`;
+
+function stateFilePath() {
+    return path.resolve(process.env.HONEYCOMB_STATE_FILE || DEFAULT_STATE_FILE);
+}
+
+function loadState(filePath = stateFilePath()) {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+// Written to a temp file and renamed, like the FileStore snapshot
+function saveState(state, filePath = stateFilePath()) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify(state, null, 2)}\n`);
+    fs.renameSync(tmpPath, filePath);
+}
+
+function treesOf(controlled) {
+    return controlled?.merkle_trees || [];
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.client  Honeycomb edge client (or the mock)
+ * @param {(tx: object, label: string) => Promise<object>} deps.send
+ *   Signs with the authority and sends; resolves with the send result
+ * @param {string} deps.authority  Treasurer public key; owns and pays for
+ *   everything created here
+ * @param {{index: number, key: string}[]} deps.badges  Badge catalog entries
+ * @param {{name: string, symbol: string, uri: string}} [deps.currency]
+ */
+function createProvisioner({
+    client,
+    send,
+    authority,
+    badges,
+    currency = CURRENCY,
+    projectName = process.env.PROJECT_NAME || "Cards of Loop",
+    treeAssets = Number(process.env.PROFILES_TREE_ASSETS) ||
+        DEFAULT_TREE_ASSETS,
+    fillThreshold = DEFAULT_FILL_THRESHOLD,
+}) {
+    async function sendOrThrow(tx, label) {
+        const result = await send(tx, label);
+        if (result?.error || result?.status !== "Success") {
+            throw new Error(
+                `${label} transaction failed: ${JSON.stringify(result?.error || result?.status)}`,
+            );
+        }
+        return result.signature;
+    }
+
+    async function findProject(address) {
+        const { project } = await client.findProjects({
+            addresses: [address],
+        });
+        return project?.[0] || null;
+    }
+
+    async function findCurrency(project, address) {
+        const { resources } = await client.findResources(
+            address ? { addresses: [address] } : { projects: [project] },
+        );
+        return (
+            resources.find((r) =>
+                address
+                    ? r.address === address
+                    : r.tags?.includes(currencyTag(currency)),
+            ) || null
+        );
+    }
+
+    /**
+     * Read-only verification of a state file against Honeycomb.
+     * @returns {Promise<string[]>} Problems; empty when all is in place
+     */
+    async function check(state) {
+        if (!state?.project) return ["No project in the state file"];
+
+        const problems = [];
+        const project = await findProject(state.project);
+        if (!project) return [`Project ${state.project} not found`];
+        if (!treesOf(project.profileTrees).length) {
+            problems.push("Project has no profiles tree");
+        }
+
+        const criteria = new Set(
+            (project.badgeCriteria || []).map((c) => Number(c.index)),
+        );
+        const missing = badges.filter((b) => !criteria.has(b.index));
+        if (missing.length) {
+            problems.push(
+                `Missing badge criteria: ${missing.map((b) => b.key).join(", ")}`,
+            );
+        }
+
+        const resource = state.currency?.resource
+            ? await findCurrency(state.project, state.currency.resource)
+            : null;
+        if (!resource) {
+            problems.push(`${currency.name} resource not found`);
+        } else if (!treesOf(resource.storage?.params?.merkle_trees).length) {
+            problems.push(`${currency.name} resource has no tree`);
+        }
+        return problems;
+    }
+
+    async function ensureProject(
+        state,
+        { adoptProject: adopt, newProject, otherProjects },
+    ) {
+        const address = state.project || adopt;
+        if (address) {
+            const project = await findProject(address);
+            // Never fall back to a new project: existing profiles live here
+            if (!project) throw new Error(`Project ${address} not found`);
+            if (project.authority !== authority) {
+                throw new Error(
+                    `Project ${address} belongs to ${project.authority}, not the treasurer`,
+                );
+            }
+            logger.info(`[PROVISION] Project ${address} verified`);
+            return address;
+        }
+
+        // A lost state file must not orphan the players of an old project.
+        // Projects of other games sharing this treasurer don't count.
+        const { project: projects } = await client.findProjects({
+            authorities: [authority],
+        });
+        const owned = (projects || []).filter(
+            (p) => !otherProjects.includes(p.address),
+        );
+        if (owned.length && !newProject) {
+            throw new Error(
+                `The treasurer already owns project(s) ${owned.map((p) => p.address).join(", ")}; ` +
+                    "set PROJECT_PUBKEY to adopt one or pass --new-project",
+            );
+        }
+
+        const { createCreateProjectTransaction } =
+            await client.createCreateProjectTransaction({
+                name: projectName,
+                authority,
+                payer: authority,
+                subsidizeFees: true,
+            });
+        const { project, tx } = createCreateProjectTransaction;
+        await sendOrThrow({ ...tx, feePayer: authority }, "project");
+        logger.info(`[PROVISION] Created project ${project} (${projectName})`);
+        return project;
+    }
+
+    async function createProfilesTree(project) {
+        const {
+            createCreateProfilesTreeTransaction: {
+                treeAddress,
+                maxTreeCapacity,
+                tx,
+            },
+        } = await client.createCreateProfilesTreeTransaction({
+            payer: authority,
+            project,
+            treeConfig: { basic: { numAssets: treeAssets } },
+        });
+        await sendOrThrow({ ...tx, feePayer: authority }, "profilesTree");
+        logger.info(
+            `[PROVISION] Created profiles tree ${treeAddress} (${maxTreeCapacity} profiles)`,
+        );
+        return { address: treeAddress, capacity: maxTreeCapacity };
+    }
+
+    // Adds a profiles tree when there is none or the active one is nearly full.
+    // Counting the active tree's profiles pages through all of them, so
+    // `grow: false` only makes sure there is a tree.
+    async function ensureProfilesTrees(state, { grow = true } = {}) {
+        const project = await findProject(state.project);
+        const onChain = treesOf(project.profileTrees);
+        const known = new Map(
+            (state.profilesTrees || []).map((t) => [t.address, t]),
+        );
+        const trees = onChain.map(
+            (address) => known.get(address) || { address, capacity: null },
+        );
+        if (!trees.length) return [await createProfilesTree(state.project)];
+        if (!grow) return trees;
+
+        const active = trees[project.profileTrees.active] || trees.at(-1);
+        const { profile } = await client.findProfiles({
+            projects: [state.project],
+        });
+        const used = profile.filter(
+            (p) => String(p.tree_id) === active.address,
+        ).length;
+        const capacity = active.capacity || treeAssets;
+        logger.info(
+            `[PROVISION] Profiles tree ${active.address}: ${used}/${capacity} used`,
+        );
+        if (used >= capacity * fillThreshold) {
+            trees.push(await createProfilesTree(state.project));
+        }
+        return trees;
+    }
+
+    // Badge criteria for every catalog badge the project doesn't have yet
+    async function ensureBadgeCriteria(state) {
+        const project = await findProject(state.project);
+        const existing = new Set(
+            (project.badgeCriteria || []).map((c) => Number(c.index)),
+        );
+        for (const badge of badges) {
+            if (existing.has(badge.index)) continue;
+            const { createInitializeBadgeCriteriaTransaction: tx } =
+                await client.createInitializeBadgeCriteriaTransaction({
+                    args: {
+                        authority,
+                        payer: authority,
+                        projectAddress: state.project,
+                        badgeIndex: badge.index,
+                        condition: "Public",
+                    },
+                });
+            await sendOrThrow(tx, "badgeCriteria");
+            logger.info(
+                `[PROVISION] Created badge criteria ${badge.index} (${badge.key})`,
+            );
+        }
+        return badges.map((b) => b.index);
+    }
+
+    async function ensureCurrency(state) {
+        let resource = await findCurrency(
+            state.project,
+            state.currency?.resource,
+        );
+        if (!resource && state.currency?.resource) {
+            throw new Error(
+                `${currency.name} resource ${state.currency.resource} not found`,
+            );
+        }
+
+        if (!resource) {
+            const {
+                createCreateNewResourceTransaction: { resource: address, tx },
+            } = await client.createCreateNewResourceTransaction({
+                project: state.project,
+                authority,
+                payer: authority,
+                params: {
+                    ...currency,
+                    decimals: 0,
+                    storage: ResourceStorageEnum.LedgerState,
+                    tags: [currencyTag(currency)],
+                },
+            });
+            await sendOrThrow(tx, "currency");
+            logger.info(
+                `[PROVISION] Created resource ${address} (${currency.name})`,
+            );
+            resource = { address };
+        } else {
+            logger.info(`[PROVISION] Resource ${resource.address} verified`);
+        }
+
+        const trees = [...treesOf(resource.storage?.params?.merkle_trees)];
+        if (!trees.length) {
+            const {
+                createCreateNewResourceTreeTransaction: { treeAddress, tx },
+            } = await client.createCreateNewResourceTreeTransaction({
+                project: state.project,
+                resource: resource.address,
+                authority,
+                payer: authority,
+                treeConfig: { basic: { numAssets: treeAssets } },
+            });
+            await sendOrThrow(tx, "currencyTree");
+            logger.info(`[PROVISION] Created resource tree ${treeAddress}`);
+            trees.push(treeAddress);
+        }
+        return { resource: resource.address, symbol: currency.symbol, trees };
+    }
+
+    /**
+     * Create or verify every asset, updating `state` as it goes.
+     * @param {object} [state]  Previous state file contents
+     * @param {object} [options]
+     * @param {string} [options.adoptProject]  Existing project to take over
+     *   when the state has none (e.g. PROJECT_PUBKEY of older deployments)
+     * @param {boolean} [options.newProject]  Create a project even though the
+     *   treasurer already owns some
+     * @param {string[]} [options.otherProjects]  Projects of other games the
+     *   treasurer pays for, which a new project may be created alongside
+     * @param {(state: object) => void} [options.onStep]  Called after every
+     *   step, to persist progress
+     * @param {boolean} [options.growTrees]  Add a profiles tree when the
+     *   active one is nearly full (see ensureProfilesTrees)
+     */
+    async function provision(
+        state = {},
+        {
+            adoptProject,
+            newProject = false,
+            otherProjects = [],
+            onStep = () => {},
+            growTrees = true,
+        } = {},
+    ) {
+        const next = { ...state, authority };
+        const step = (changes) => {
+            Object.assign(next, changes, {
+                updatedAt: new Date().toISOString(),
+            });
+            onStep(next);
+        };
+
+        step({
+            project: await ensureProject(next, {
+                adoptProject,
+                newProject,
+                otherProjects,
+            }),
+        });
+        step({
+            profilesTrees: await ensureProfilesTrees(next, { grow: growTrees }),
+        });
+        step({ badgeCriteria: await ensureBadgeCriteria(next) });
+        step({ currency: await ensureCurrency(next) });
+        return next;
+    }
+
+    return { check, provision };
+}
+
+module.exports = {
+    createProvisioner,
+    loadState,
+    saveState,
+    stateFilePath,
+    CURRENCY,
+};
@@ -0,0 +1,289 @@
+// === SAVE SLOTS ===
+// Named save-game slots per wallet, stored in the player's Honeycomb profile
+// customData (a VecMap of key -> [string]):
+//   save:<slot>        -> [JSON { version, updatedAt, keys }]
+//   save:<slot>:<key>  -> [JSON value, or a blob reference for values above
+//                          the blob store's inline limit (see lib/blobs.js)]
+// Every write bumps the slot's version. Writers send the version they last
+// read and are rejected with 409 VERSION_CONFLICT if another device saved in
+// between, so stale data never overwrites newer progress.
+//
+// The "saves" namespace mirrors each slot (version, timestamps and data) so
+// versions stay exact and reads don't depend on the Honeycomb indexer having
+// caught up with the last write. Profiles are read from Honeycomb only when
+// the mirror has no entry (e.g. a fresh store). Blobbed values are mirrored
+// by reference and only fetched (and verified) when read.
+
+const { HttpError } = require("./errors");
+const { isBlobRef } = require("./blobs");
+
+const PREFIX = "save:";
+const MAX_KEYS_PER_SLOT = 32;
+
+const metaKey = (slot) => `${PREFIX}${slot}`;
+const dataKey = (slot, key) => `${PREFIX}${slot}:${key}`;
+
+function first(values) {
+    return Array.isArray(values) ? values[0] : values;
+}
+
+function decode(values) {
+    try {
+        return JSON.parse(first(values));
+    } catch {
+        return undefined;
+    }
+}
+
+// Keys of a mirrored slot, inline and blobbed
+function keysOf(entry) {
+    return [...Object.keys(entry.data), ...Object.keys(entry.blobs || {})];
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.blobs  Blob store (see lib/blobs)
+ * @param {(wallet: string) => Promise<object>} deps.readCustomData
+ *   The profile's customData VecMap
+ * @param {(wallet: string, customData: {add?: object, remove?: string[]},
+ *   accessToken: string) => Promise<string>} deps.writeCustomData
+ *   Sends the profile update and resolves with its signature
+ */
+function createSaveSlots({
+    store,
+    blobs,
+    readCustomData,
+    writeCustomData,
+    maxKeys = MAX_KEYS_PER_SLOT,
+}) {
+    // Writes to one slot run one after another
+    const locks = new Map();
+
+    function withLock(id, fn) {
+        const run = (locks.get(id) || Promise.resolve()).then(fn, fn);
+        const settled = run.catch(() => {});
+        locks.set(id, settled);
+        settled.then(() => {
+            if (locks.get(id) === settled) locks.delete(id);
+        });
+        return run;
+    }
+
+    // Slot as recorded on-chain, rebuilt into the mirror's shape
+    function slotFromCustomData(customData, slot) {
+        const meta = decode(customData[metaKey(slot)]);
+        if (!meta) return null;
+        const data = {};
+        const refs = {};
+        for (const key of meta.keys || []) {
+            const raw = customData[dataKey(slot, key)];
+            if (isBlobRef(first(raw))) {
+                refs[key] = first(raw);
+                continue;
+            }
+            const value = decode(raw);
+            if (value !== undefined) data[key] = value;
+        }
+        return {
+            version: meta.version || 0,
+            createdAt: meta.createdAt || meta.updatedAt,
+            updatedAt: meta.updatedAt,
+            data,
+            blobs: refs,
+        };
+    }
+
+    async function load(wallet, slot) {
+        const id = `${wallet}:${slot}`;
+        const mirrored = store.get("saves", id);
+        if (mirrored) return mirrored;
+
+        const fromChain = slotFromCustomData(
+            await readCustomData(wallet),
+            slot,
+        );
+        if (fromChain) store.set("saves", id, fromChain);
+        return fromChain;
+    }
+
+    function summary(slot, entry) {
+        return {
+            slot,
+            version: entry.version,
+            createdAt: entry.createdAt,
+            updatedAt: entry.updatedAt,
+            keys: keysOf(entry),
+        };
+    }
+
+    function assertVersion(entry, expected) {
+        const current = entry?.version || 0;
+        if (expected !== current) {
+            throw new HttpError(
+                409,
+                `Slot is at version ${current}; reload it before saving`,
+                {
+                    code: "VERSION_CONFLICT",
+                    details: {
+                        currentVersion: current,
+                        updatedAt: entry?.updatedAt || null,
+                    },
+                },
+            );
+        }
+    }
+
+    /**
+     * Slots of a wallet, most recently saved first.
+     */
+    async function list(wallet) {
+        const slots = new Map();
+        for (const [id, entry] of store.entries("saves")) {
+            if (!id.startsWith(`${wallet}:`) || entry.deleted) continue;
+            slots.set(id.slice(wallet.length + 1), entry);
+        }
+
+        // Slots saved before this store existed only live on-chain
+        const customData = await readCustomData(wallet);
+        for (const key of Object.keys(customData)) {
+            const slot = key.slice(PREFIX.length);
+            if (!key.startsWith(PREFIX) || slot.includes(":")) continue;
+            if (slots.has(slot) || store.get("saves", `${wallet}:${slot}`)) {
+                continue;
+            }
+            const entry = slotFromCustomData(customData, slot);
+            if (entry) slots.set(slot, entry);
+        }
+
+        return [...slots]
+            .map(([slot, entry]) => summary(slot, entry))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * @param {string[]} [keys]  Only these keys (default: all)
+     */
+    async function read(wallet, slot, keys) {
+        const entry = await load(wallet, slot);
+        if (!entry || entry.deleted) {
+            throw new HttpError(404, `No save in slot ${slot}`);
+        }
+        const refs = entry.blobs || {};
+        const wanted = (keys || keysOf(entry)).filter(
+            (key) => Object.hasOwn(entry.data, key) || Object.hasOwn(refs, key),
+        );
+        const data = {};
+        for (const key of wanted) {
+            data[key] = Object.hasOwn(refs, key)
+                ? await blobs.unpack(refs[key])
+                : entry.data[key];
+        }
+        return { ...summary(slot, entry), data };
+    }
+
+    /**
+     * Set and/or remove keys of a slot in one transaction.
+     * @param {object} change
+     * @param {number} change.version  Version the client last read (0 = new)
+     * @param {object} [change.set]  key -> JSON value
+     * @param {string[]} [change.remove]
+     */
+    function write(wallet, slot, { version, set = {}, remove = [] }, token) {
+        return withLock(`${wallet}:${slot}`, async () => {
+            const entry = await load(wallet, slot);
+            assertVersion(entry, version);
+
+            const live = entry && !entry.deleted;
+            const next = {
+                data: { ...(live ? entry.data : {}) },
+                blobs: { ...(live && entry.blobs) },
+            };
+            const { data, blobs: refs } = next;
+            const add = {};
+            for (const [key, value] of Object.entries(set)) {
+                // Large values go to the blob store; only their ref is kept
+                const encoded = await blobs.pack(value);
+                add[dataKey(slot, key)] = [encoded];
+                delete data[key];
+                delete refs[key];
+                if (isBlobRef(encoded)) refs[key] = encoded;
+                else data[key] = value;
+            }
+            const removed = remove.filter(
+                (key) =>
+                    (Object.hasOwn(data, key) || Object.hasOwn(refs, key)) &&
+                    !Object.hasOwn(set, key),
+            );
+            for (const key of removed) {
+                delete data[key];
+                delete refs[key];
+            }
+            if (keysOf(next).length > maxKeys) {
+                throw new HttpError(
+                    413,
+                    `A slot holds at most ${maxKeys} keys`,
+                );
+            }
+
+            const now = new Date().toISOString();
+            Object.assign(next, {
+                version: (entry?.version || 0) + 1,
+                createdAt: live ? entry.createdAt : now,
+                updatedAt: now,
+            });
+            add[metaKey(slot)] = [
+                JSON.stringify({
+                    version: next.version,
+                    createdAt: next.createdAt,
+                    updatedAt: now,
+                    keys: keysOf(next),
+                }),
+            ];
+
+            const signature = await writeCustomData(
+                wallet,
+                { add, remove: removed.map((key) => dataKey(slot, key)) },
+                token,
+            );
+            store.set("saves", `${wallet}:${slot}`, next);
+            return { ...summary(slot, next), signature };
+        });
+    }
+
+    // Removes every key of the slot. The version keeps counting, so a
+    // device still holding the old slot can't silently recreate it.
+    function remove(wallet, slot, version, token) {
+        return withLock(`${wallet}:${slot}`, async () => {
+            const entry = await load(wallet, slot);
+            if (!entry || entry.deleted) {
+                throw new HttpError(404, `No save in slot ${slot}`);
+            }
+            assertVersion(entry, version);
+
+            const signature = await writeCustomData(
+                wallet,
+                {
+                    remove: [
+                        metaKey(slot),
+                        ...keysOf(entry).map((key) => dataKey(slot, key)),
+                    ],
+                },
+                token,
+            );
+            const tombstone = {
+                version: entry.version + 1,
+                createdAt: entry.createdAt,
+                updatedAt: new Date().toISOString(),
+                data: {},
+                deleted: true,
+            };
+            store.set("saves", `${wallet}:${slot}`, tombstone);
+            return { slot, version: tombstone.version, signature };
+        });
+    }
+
+    return { list, read, write, remove };
+}
+
+module.exports = { createSaveSlots, MAX_KEYS_PER_SLOT };
@@ -0,0 +1,83 @@
+// === DAILY SCHEDULER ===
+// Days roll over at a fixed UTC boundary (DAILY_RESET_UTC, "HH:MM"), so every
+// player sees the same reset regardless of their or the server's timezone.
+
+const { logger } = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// setTimeout overflows past ~24.8 days; a day is well within that, but clamp
+// anyway so a bad clock can't schedule an immediate busy loop.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function parseResetTime(value = process.env.DAILY_RESET_UTC || "00:00") {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(
+            `Invalid DAILY_RESET_UTC "${value}", expected HH:MM in UTC`,
+        );
+    }
+    return (Number(match[1]) * 60 + Number(match[2])) * 60 * 1000;
+}
+
+/**
+ * Work out which challenge day `now` falls in.
+ * @returns {{ dayKey: string, resetsAt: Date, nextResetAt: Date }}
+ *   dayKey is the UTC date on which the current day started ("2026-10-19").
+ */
+function dayBounds(now = new Date(), resetOffsetMs = parseResetTime()) {
+    const shifted = now.getTime() - resetOffsetMs;
+    const dayStart = Math.floor(shifted / DAY_MS) * DAY_MS;
+    return {
+        dayKey: new Date(dayStart).toISOString().slice(0, 10),
+        resetsAt: new Date(dayStart + resetOffsetMs),
+        nextResetAt: new Date(dayStart + resetOffsetMs + DAY_MS),
+    };
+}
+
+/**
+ * Calls onRollover(bounds) every time the UTC boundary passes.
+ * The callback is also safe to invoke lazily from request handlers; the
+ * scheduler only guarantees it fires even when nobody is calling the API.
+ */
+function createDailyScheduler({
+    resetOffsetMs = parseResetTime(),
+    onRollover,
+}) {
+    let timer = null;
+
+    function schedule() {
+        const { nextResetAt } = dayBounds(new Date(), resetOffsetMs);
+        const delay = Math.min(
+            Math.max(nextResetAt.getTime() - Date.now(), 1000),
+            MAX_TIMER_MS,
+        );
+        timer = setTimeout(async () => {
+            try {
+                await onRollover(dayBounds(new Date(), resetOffsetMs));
+            } catch (err) {
+                logger.error("[SCHEDULER] Rollover failed:", err);
+            }
+            schedule();
+        }, delay);
+        timer.unref?.();
+        logger.info(
+            `[SCHEDULER] Next daily reset at ${nextResetAt.toISOString()}`,
+        );
+    }
+
+    return {
+        start() {
+            if (!timer) schedule();
+        },
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+        current(now = new Date()) {
+            return dayBounds(now, resetOffsetMs);
+        },
+    };
+}
+
+module.exports = { createDailyScheduler, dayBounds, parseResetTime };
@@ -0,0 +1,256 @@
+// === SCHEMA ===
+// Declarative request validation. A route lists the fields it accepts per
+// request part:
+//
+//   validate({
+//       body: { walletAddress: t.address(), progress: t.int({ min: 1 }) },
+//       query: { limit: t.int({ min: 1, max: 100 }).optional(10) },
+//   })
+//
+// Values are checked and coerced in place (query-string numbers become
+// numbers, optional fields get their default), and every problem is reported
+// at once as a 400 VALIDATION_FAILED with one `details` entry per field.
+// Fields a schema doesn't mention are left alone.
+
+const bs58 = require("bs58");
+const { HttpError } = require("./errors");
+
+const SIGNATURE_BYTES = 64;
+
+class FieldError extends Error {}
+
+/**
+ * @param {(value: *) => *} parse  Returns the coerced value or throws
+ *   FieldError with a message completing "<field> ..."
+ */
+function rule(parse, { required = true, fallback } = {}) {
+    return {
+        parse,
+        required,
+        fallback,
+        // Field may be missing (or an empty query string); use a copy of
+        // `fallback`, so requests never share (and mutate) one object
+        optional(value) {
+            return rule(parse, { required: false, fallback: value });
+        },
+    };
+}
+
+function fail(message) {
+    throw new FieldError(message);
+}
+
+// Apply an element rule, prefixing its message with where it failed
+function nested(spec, value, where) {
+    try {
+        return spec.parse(value);
+    } catch (err) {
+        if (err instanceof FieldError) fail(`${where} ${err.message}`);
+        throw err;
+    }
+}
+
+const t = {
+    string({ min = 1, max = 256, pattern, hint } = {}) {
+        return rule((value) => {
+            if (typeof value !== "string") fail("must be a string");
+            if (value.length < min) {
+                fail(`must be at least ${min} characters`);
+            }
+            if (value.length > max) fail(`must be at most ${max} characters`);
+            if (pattern && !pattern.test(value)) {
+                fail(hint || `must match ${pattern}`);
+            }
+            return value;
+        });
+    },
+
+    int({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) {
+        return rule((value) => {
+            const number =
+                typeof value === "string" && /^-?\d+$/.test(value)
+                    ? Number(value)
+                    : value;
+            if (!Number.isSafeInteger(number)) fail("must be an integer");
+            if (number < min || number > max) {
+                fail(
+                    max === Number.MAX_SAFE_INTEGER
+                        ? `must be at least ${min}`
+                        : `must be between ${min} and ${max}`,
+                );
+            }
+            return number;
+        });
+    },
+
+    number() {
+        return rule((value) => {
+            const number =
+                typeof value === "string" && value.trim() !== ""
+                    ? Number(value)
+                    : value;
+            if (typeof number !== "number" || !Number.isFinite(number)) {
+                fail("must be a number");
+            }
+            return number;
+        });
+    },
+
+    boolean() {
+        return rule((value) => {
+            if (value === "true") return true;
+            if (value === "false") return false;
+            if (typeof value !== "boolean") fail("must be true or false");
+            return value;
+        });
+    },
+
+    oneOf(values) {
+        return rule((value) => {
+            if (!values.includes(value)) {
+                fail(`must be one of ${values.join(", ")}`);
+            }
+            return value;
+        });
+    },
+
+    // Base58 Solana public key
+    address() {
+        return rule((value) => {
+            let bytes = [];
+            try {
+                if (typeof value === "string" && value.length <= 44) {
+                    bytes = bs58.decode(value);
+                }
+            } catch {
+                // reported below
+            }
+            if (bytes.length !== 32) fail("must be a Solana address");
+            return value;
+        });
+    },
+
+    // Wallet signature as sent by the clients: 64 comma-separated bytes
+    signature() {
+        return rule((value) => {
+            const bytes = typeof value === "string" ? value.split(",") : [];
+            if (
+                bytes.length !== SIGNATURE_BYTES ||
+                !bytes.every((b) => /^\d{1,3}$/.test(b) && Number(b) < 256)
+            ) {
+                fail(`must be ${SIGNATURE_BYTES} comma-separated bytes`);
+            }
+            return value;
+        });
+    },
+
+    // YYYY-MM-DD
+    date() {
+        return t.string({
+            max: 10,
+            pattern: /^\d{4}-\d{2}-\d{2}$/,
+            hint: "must be YYYY-MM-DD",
+        });
+    },
+
+    // Plain object; `keys` (a string rule) constrains its property names
+    object({ keys, maxKeys = Infinity } = {}) {
+        return rule((value) => {
+            if (!value || typeof value !== "object" || Array.isArray(value)) {
+                fail("must be an object");
+            }
+            const names = Object.keys(value);
+            if (names.length > maxKeys) {
+                fail(`must have at most ${maxKeys} keys`);
+            }
+            for (const name of keys ? names : []) {
+                nested(keys, name, `key "${name}"`);
+            }
+            return value;
+        });
+    },
+
+    // `items` (any rule) is applied to every element
+    array({ min = 0, max = 100, items } = {}) {
+        return rule((value) => {
+            if (!Array.isArray(value)) fail("must be an array");
+            if (value.length < min || value.length > max) {
+                fail(`must have between ${min} and ${max} items`);
+            }
+            return items
+                ? value.map((item, i) => nested(items, item, `item ${i}`))
+                : value;
+        });
+    },
+
+    // Any JSON value; only presence is checked
+    any() {
+        return rule((value) => value);
+    },
+};
+
+function isMissing(value, part) {
+    return (
+        value === undefined ||
+        value === null ||
+        (part === "query" && value === "")
+    );
+}
+
+/**
+ * Express middleware validating `req.body`, `req.query` and `req.params`.
+ * @param {{body?: object, query?: object, params?: object}} schemas
+ */
+function validate(schemas) {
+    return (req, res, next) => {
+        const details = [];
+
+        for (const [part, shape] of Object.entries(schemas)) {
+            if (
+                part === "body" &&
+                (!req.body || typeof req.body !== "object")
+            ) {
+                req.body = {};
+            }
+            const values = req[part];
+
+            for (const [field, spec] of Object.entries(shape)) {
+                const value = values[field];
+                if (isMissing(value, part)) {
+                    if (spec.required) {
+                        details.push({
+                            field: `${part}.${field}`,
+                            message: "is required",
+                        });
+                    } else if (spec.fallback !== undefined) {
+                        values[field] = structuredClone(spec.fallback);
+                    }
+                    continue;
+                }
+
+                try {
+                    values[field] = spec.parse(value);
+                } catch (err) {
+                    if (!(err instanceof FieldError)) throw err;
+                    details.push({
+                        field: `${part}.${field}`,
+                        message: err.message,
+                    });
+                }
+            }
+        }
+
+        if (details.length) {
+            return next(
+                new HttpError(
+                    400,
+                    details.map((d) => `${d.field} ${d.message}`).join("; "),
+                    { code: "VALIDATION_FAILED", details },
+                ),
+            );
+        }
+        next();
+    };
+}
+
+module.exports = { t, validate };
@@ -0,0 +1,220 @@
+// === SESSIONS ===
+// Game sessions link a client-chosen token to a verified wallet. They expire
+// after SESSION_TTL_MS of inactivity (each use slides the expiry forward) and
+// unconditionally after SESSION_MAX_AGE_MS. Stored in the "sessions" namespace.
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_TOKEN_LENGTH = 16;
+
+// Honeycomb access tokens are JWTs; read `exp` without verifying the
+// signature (Honeycomb does that) so we can stop handing out dead tokens.
+function accessTokenExpiry(accessToken) {
+    try {
+        const payload = JSON.parse(
+            Buffer.from(accessToken.split(".")[1], "base64url").toString(),
+        );
+        return payload.exp ? new Date(payload.exp * 1000).toISOString() : null;
+    } catch {
+        return null;
+    }
+}
+
+// Public identifier for a session, so tokens never leave the server in lists
+function sessionId(token) {
+    return crypto.createHash("sha256").update(token).digest("hex").slice(0, 16);
+}
+
+function isToken(token) {
+    return typeof token === "string" && token.length >= MIN_TOKEN_LENGTH;
+}
+
+class SessionError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {(accessToken: string, walletAddress: string) => boolean} [deps.isIssuedAccessToken]
+ *   Whether an access token was issued to the wallet through this server;
+ *   sessions refuse to carry any other token
+ * @param {(token: string, session: object) => void} [deps.onCreate]
+ *   Called after a token is linked (or re-verified) to a wallet
+ */
+function createSessionManager({
+    store,
+    ttlMs = Number(process.env.SESSION_TTL_MS) || 7 * DAY_MS,
+    maxAgeMs = Number(process.env.SESSION_MAX_AGE_MS) || 30 * DAY_MS,
+    isIssuedAccessToken = () => false,
+    onCreate = () => {},
+}) {
+    let sweeper = null;
+
+    function isExpired(session, now = Date.now()) {
+        return (
+            Date.parse(session.expiresAt) <= now ||
+            Date.parse(session.verifiedAt) + maxAgeMs <= now
+        );
+    }
+
+    function create(token, { walletAddress, accessToken, signature }) {
+        if (!isToken(token)) {
+            throw new SessionError(
+                400,
+                `sessionToken must be at least ${MIN_TOKEN_LENGTH} characters`,
+            );
+        }
+
+        if (accessToken && !isIssuedAccessToken(accessToken, walletAddress)) {
+            throw new SessionError(
+                401,
+                "accessToken was not issued to this wallet by this server",
+            );
+        }
+
+        // A live token can only be re-verified by the wallet that owns it
+        const existing = get(token, { touch: false });
+        if (existing && existing.walletAddress !== walletAddress) {
+            throw new SessionError(
+                409,
+                "Session token is already linked to another wallet",
+            );
+        }
+
+        const now = new Date();
+        const session = {
+            id: sessionId(token),
+            walletAddress,
+            verifiedAt: existing?.verifiedAt || now.toISOString(),
+            lastSeenAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+            signature,
+            accessToken,
+            accessTokenExpiresAt: accessToken
+                ? accessTokenExpiry(accessToken)
+                : null,
+        };
+        store.set("sessions", token, session);
+        onCreate(token, session);
+        return session;
+    }
+
+    /**
+     * Look up a live session. Expired sessions are deleted on sight.
+     * @param {boolean} [options.touch=true]  Slide the expiry forward
+     */
+    function get(token, { touch = true } = {}) {
+        // Tokens are client-supplied: anything create() would have refused
+        // can't name a session, and only the store's own records count
+        if (!isToken(token)) return undefined;
+        const session = store.get("sessions", token);
+        if (!session?.walletAddress) return undefined;
+
+        const now = Date.now();
+        if (isExpired(session, now)) {
+            store.delete("sessions", token);
+            return undefined;
+        }
+
+        if (touch) {
+            session.lastSeenAt = new Date(now).toISOString();
+            session.expiresAt = new Date(now + ttlMs).toISOString();
+            store.set("sessions", token, session);
+        }
+        return session;
+    }
+
+    function revoke(token) {
+        if (!isToken(token)) return false;
+        const existed = !!store.get("sessions", token);
+        store.delete("sessions", token);
+        return existed;
+    }
+
+    // Live tokens of one wallet, or of every wallet when none is given
+    function listTokens(walletAddress) {
+        const now = Date.now();
+        return store
+            .entries("sessions")
+            .filter(
+                ([, s]) =>
+                    (!walletAddress || s.walletAddress === walletAddress) &&
+                    !isExpired(s, now),
+            )
+            .map(([token]) => token);
+    }
+
+    function list(walletAddress) {
+        return listTokens(walletAddress).map((token) => {
+            const s = store.get("sessions", token);
+            return {
+                id: s.id || sessionId(token),
+                walletAddress: s.walletAddress,
+                verifiedAt: s.verifiedAt,
+                lastSeenAt: s.lastSeenAt,
+                expiresAt: s.expiresAt,
+                accessTokenExpiresAt: s.accessTokenExpiresAt,
+            };
+        });
+    }
+
+    // Without a wallet, any session with this id is revoked (admin use)
+    function revokeById(walletAddress, id) {
+        const token = listTokens(walletAddress).find(
+            (t) => sessionId(t) === id,
+        );
+        return token ? revoke(token) : false;
+    }
+
+    function revokeAll(walletAddress) {
+        const tokens = listTokens(walletAddress);
+        tokens.forEach(revoke);
+        return tokens.length;
+    }
+
+    function isAccessTokenExpired(session) {
+        return (
+            !!session.accessTokenExpiresAt &&
+            Date.parse(session.accessTokenExpiresAt) <= Date.now()
+        );
+    }
+
+    function sweep() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [token, session] of store.entries("sessions")) {
+            if (isExpired(session, now)) {
+                store.delete("sessions", token);
+                removed++;
+            }
+        }
+        if (removed) logger.info(`[SESSION] Swept ${removed} expired sessions`);
+    }
+
+    function start(intervalMs = 60 * 60 * 1000) {
+        if (sweeper) return;
+        sweep();
+        sweeper = setInterval(sweep, intervalMs);
+        sweeper.unref?.();
+    }
+
+    return {
+        create,
+        get,
+        revoke,
+        revokeById,
+        revokeAll,
+        list,
+        isAccessTokenExpired,
+        sweep,
+        start,
+    };
+}
+
+module.exports = { createSessionManager, accessTokenExpiry, sessionId };
@@ -0,0 +1,166 @@
+// === STORE ===
+// Pluggable persistence for challenges, player progress, sessions and caches.
+//
+// Every backend exposes the same synchronous, namespaced key/value API so
+// route handlers can read and write state without awaiting:
+//
+//   store.get(namespace, key)          -> value | undefined
+//   store.set(namespace, key, value)
+//   store.delete(namespace, key)
+//   store.entries(namespace)           -> [[key, value], ...]
+//   store.clear(namespace)
+//   await store.flush()                -> persist pending writes (no-op in memory)
+//
+// Values must be JSON-serialisable. Keys are often client-supplied (tokens,
+// wallets, slot names), so namespaces are prototype-less objects: "__proto__"
+// or "constructor" are ordinary keys, never inherited values.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+function dictionary(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+class MemoryStore {
+    constructor() {
+        this.kind = "memory";
+        this.data = dictionary();
+    }
+
+    namespace(ns) {
+        if (!this.data[ns]) this.data[ns] = dictionary();
+        return this.data[ns];
+    }
+
+    get(ns, key) {
+        return this.data[ns]?.[key];
+    }
+
+    set(ns, key, value) {
+        this.namespace(ns)[key] = value;
+        this.changed();
+        return value;
+    }
+
+    delete(ns, key) {
+        if (this.data[ns] && Object.hasOwn(this.data[ns], key)) {
+            delete this.data[ns][key];
+            this.changed();
+        }
+    }
+
+    entries(ns) {
+        return Object.entries(this.data[ns] || {});
+    }
+
+    clear(ns) {
+        if (this.data[ns]) {
+            this.data[ns] = dictionary();
+            this.changed();
+        }
+    }
+
+    changed() {}
+
+    async flush() {}
+}
+
+// Keeps the working set in memory and writes the whole snapshot to a JSON
+// file shortly after each change. Writes go to a temp file first and are
+// renamed into place, so a crash mid-write never leaves a truncated store.
+class FileStore extends MemoryStore {
+    constructor(filePath, { flushDelayMs = 250 } = {}) {
+        super();
+        this.kind = "file";
+        this.filePath = path.resolve(filePath);
+        this.flushDelayMs = flushDelayMs;
+        this.timer = null;
+        this.writing = null;
+        this.dirty = false;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        if (fs.existsSync(this.filePath)) {
+            const raw = fs.readFileSync(this.filePath, "utf8");
+            const parsed = raw.trim() ? JSON.parse(raw) : {};
+            for (const [ns, values] of Object.entries(parsed)) {
+                this.data[ns] = dictionary(values);
+            }
+            logger.info(`[STORE] Loaded state from ${this.filePath}`);
+        }
+    }
+
+    changed() {
+        this.dirty = true;
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.flush().catch((err) =>
+                    logger.error("[STORE] Flush failed:", err),
+                );
+            }, this.flushDelayMs);
+            this.timer.unref?.();
+        }
+    }
+
+    async flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        // Serialise writes so two flushes never race on the temp file
+        while (this.writing) await this.writing;
+        if (!this.dirty) return;
+
+        this.dirty = false;
+        const snapshot = JSON.stringify(this.data);
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writing = fs.promises
+            .writeFile(tmpPath, snapshot)
+            .then(() => fs.promises.rename(tmpPath, this.filePath))
+            .catch((err) => {
+                this.dirty = true;
+                throw err;
+            })
+            .finally(() => {
+                this.writing = null;
+            });
+        await this.writing;
+    }
+}
+
+function createStore({
+    backend = process.env.STORE_BACKEND ||
+        (process.env.NODE_ENV === "production" ? "file" : "memory"),
+    filePath = process.env.STORE_FILE || "./data/store.json",
+} = {}) {
+    switch (backend) {
+        case "memory":
+            return new MemoryStore();
+        case "file":
+            return new FileStore(filePath);
+        default:
+            throw new Error(`Unknown STORE_BACKEND "${backend}"`);
+    }
+}
+
+/**
+ * The same API over namespaces prefixed with `prefix`, so several games can
+ * share one store without seeing each other's data. An empty prefix returns
+ * the store itself.
+ */
+function scopeStore(store, prefix) {
+    if (!prefix) return store;
+    return {
+        kind: store.kind,
+        get: (ns, key) => store.get(prefix + ns, key),
+        set: (ns, key, value) => store.set(prefix + ns, key, value),
+        delete: (ns, key) => store.delete(prefix + ns, key),
+        entries: (ns) => store.entries(prefix + ns),
+        clear: (ns) => store.clear(prefix + ns),
+        flush: () => store.flush(),
+    };
+}
+
+module.exports = { createStore, scopeStore, MemoryStore, FileStore };
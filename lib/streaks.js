@@ -0,0 +1,133 @@
+// === STREAKS ===
+// A streak day is a day on which a wallet completed every daily challenge.
+// Missing days break the streak unless the wallet has streak freezes left:
+// one freeze is earned every `freezeEveryDays` streak days (up to
+// `maxFreezes`) and each covers one missed day. Stored per wallet in the
+// "streaks" namespace.
+
+const { logger } = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    freezeEveryDays: 7,
+    maxFreezes: 2,
+    bonuses: [],
+};
+
+function daysBetween(fromKey, toKey) {
+    return Math.round(
+        (Date.parse(`${toKey}T00:00:00Z`) -
+            Date.parse(`${fromKey}T00:00:00Z`)) /
+            DAY_MS,
+    );
+}
+
+function emptyStreak() {
+    return {
+        current: 0,
+        best: 0,
+        lastCompletedDay: null,
+        freezes: 0,
+        freezesUsed: 0,
+    };
+}
+
+function createStreakTracker({ store, config = {} }) {
+    const { freezeEveryDays, maxFreezes, bonuses } = {
+        ...DEFAULT_CONFIG,
+        ...config,
+    };
+    // Highest threshold first so the first match wins
+    const bonusTiers = [...bonuses].sort((a, b) => b.minDays - a.minDays);
+
+    function get(wallet) {
+        return { ...emptyStreak(), ...store.get("streaks", wallet) };
+    }
+
+    // Days missed since the last streak day, as seen from `dayKey`
+    function missedDays(streak, dayKey) {
+        if (!streak.lastCompletedDay) return 0;
+        return Math.max(daysBetween(streak.lastCompletedDay, dayKey) - 1, 0);
+    }
+
+    /**
+     * Record that `wallet` finished all of `dayKey`'s daily challenges.
+     * Safe to call more than once per day.
+     */
+    function markDayComplete(wallet, dayKey) {
+        const streak = get(wallet);
+        if (streak.lastCompletedDay === dayKey) return streak;
+
+        const missed = missedDays(streak, dayKey);
+        if (!streak.lastCompletedDay || missed > streak.freezes) {
+            streak.current = 1;
+            streak.freezes = 0;
+        } else {
+            streak.freezes -= missed;
+            streak.freezesUsed += missed;
+            streak.current += 1;
+        }
+
+        if (streak.current % freezeEveryDays === 0) {
+            streak.freezes = Math.min(streak.freezes + 1, maxFreezes);
+        }
+        streak.best = Math.max(streak.best, streak.current);
+        streak.lastCompletedDay = dayKey;
+        store.set("streaks", wallet, streak);
+
+        logger.info(`[STREAK] ${wallet} is on a ${streak.current} day streak`);
+        return streak;
+    }
+
+    function bonusFor(days) {
+        return (
+            bonusTiers.find((tier) => days >= tier.minDays) || {
+                minDays: 0,
+                multiplier: 1,
+            }
+        );
+    }
+
+    /**
+     * Streak as it stands on `dayKey`. A streak whose gap is still covered by
+     * freezes is alive but `atRisk` until today's challenges are done.
+     */
+    function status(wallet, dayKey) {
+        const streak = get(wallet);
+        const completedToday = streak.lastCompletedDay === dayKey;
+        const missed = completedToday
+            ? 0
+            : Math.max(missedDays(streak, dayKey), 0);
+        const alive = !!streak.lastCompletedDay && missed <= streak.freezes;
+        const current = alive ? streak.current : 0;
+        const next = [...bonusTiers]
+            .reverse()
+            .find((tier) => tier.minDays > current);
+
+        return {
+            current,
+            best: streak.best,
+            lastCompletedDay: streak.lastCompletedDay,
+            completedToday,
+            atRisk: alive && !completedToday,
+            freezes: alive ? streak.freezes : 0,
+            freezesNeeded: alive ? missed : 0,
+            bonusMultiplier: bonusFor(current).multiplier,
+            nextBonus: next
+                ? {
+                      inDays: next.minDays - current,
+                      multiplier: next.multiplier,
+                  }
+                : null,
+        };
+    }
+
+    function wallets() {
+        return store.entries("streaks").map(([wallet]) => wallet);
+    }
+
+    return { markDayComplete, status, bonusFor, wallets };
+}
+
+module.exports = { createStreakTracker };
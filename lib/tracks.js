@@ -0,0 +1,150 @@
+// === CHALLENGE TRACKS ===
+// Besides the daily set there are two more kinds of challenge track:
+//
+//   weekly       Larger targets, resets on Monday at the daily reset time.
+//   event:<id>   Limited-time events with their own start/end, templates and
+//                reward multiplier, scheduled in catalog/events.json or
+//                through the admin API.
+//
+// Every track keeps its own progress and claim state.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+const { validateTemplate } = require("./challenges");
+
+const DEFAULT_EVENTS_PATH = path.join(
+    __dirname,
+    "..",
+    "catalog",
+    "events.json",
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,47}$/;
+// ?track= values that aren't events, so no event may take them as its id
+const RESERVED_EVENT_IDS = new Set(["daily", "weekly", "events"]);
+
+// Monday (as a day key) of the week containing dayKey
+function weekStart(dayKey) {
+    const date = new Date(`${dayKey}T00:00:00Z`);
+    const weekday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - weekday * DAY_MS)
+        .toISOString()
+        .slice(0, 10);
+}
+
+/**
+ * Weekly period around a day from the daily scheduler, so weeks turn over at
+ * the same DAILY_RESET_UTC time as days.
+ * @param {{ dayKey: string, resetsAt: Date }} day
+ * @returns {{ weekKey: string, startsAt: Date, endsAt: Date }}
+ */
+function weekBounds({ dayKey, resetsAt }) {
+    const weekKey = weekStart(dayKey);
+    const daysIn = Math.round(
+        (Date.parse(`${dayKey}T00:00:00Z`) -
+            Date.parse(`${weekKey}T00:00:00Z`)) /
+            DAY_MS,
+    );
+    const startsAt = new Date(resetsAt.getTime() - daysIn * DAY_MS);
+    return {
+        weekKey,
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + 7 * DAY_MS),
+    };
+}
+
+// Track and period encoded in a challenge id, e.g. weekly_2026-10-19_1
+function parseChallengeId(challengeId) {
+    const match = /^(daily|weekly|event)_(.+)_(\d+)$/.exec(challengeId || "");
+    if (!match) return null;
+    const [, kind, periodKey] = match;
+    return {
+        track: kind === "event" ? `event:${periodKey}` : kind,
+        periodKey,
+    };
+}
+
+/**
+ * Check an event definition against the challenge catalog.
+ * @returns {object} the normalised event
+ */
+function validateEvent(event, catalog) {
+    const fail = (msg) => {
+        throw new Error(`Invalid event ${event?.id || "(no id)"}: ${msg}`);
+    };
+
+    if (!EVENT_ID_PATTERN.test(event?.id || "")) {
+        fail("id must be lowercase letters, digits and dashes");
+    }
+    if (RESERVED_EVENT_IDS.has(event.id)) fail(`id "${event.id}" is reserved`);
+    if (!event.name) fail("name is required");
+
+    const startsAt = Date.parse(event.startsAt);
+    const endsAt = Date.parse(event.endsAt);
+    if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) {
+        fail("startsAt and endsAt must be ISO dates");
+    }
+    if (endsAt <= startsAt) fail("endsAt must be after startsAt");
+
+    if (event.templates !== undefined) {
+        if (!Array.isArray(event.templates) || !event.templates.length) {
+            fail("templates must be a non-empty array");
+        }
+        for (const t of event.templates)
+            validateTemplate(t, catalog.tiers, fail);
+    }
+    for (const field of ["rewardMultiplier", "amountMultiplier"]) {
+        const value = event[field] ?? 1;
+        if (!Number.isFinite(value) || value <= 0) {
+            fail(`${field} must be a positive number`);
+        }
+    }
+
+    const templates = event.templates || catalog.templates;
+    const slots = event.slots || catalog.daily.slots;
+    if (!Array.isArray(slots) || !slots.length) {
+        fail("slots must be a non-empty array of tiers");
+    }
+    for (const tier of slots) {
+        if (!catalog.tiers[tier]) fail(`unknown tier "${tier}"`);
+        if (!templates.some((t) => t.tier === tier)) {
+            fail(`no templates for tier "${tier}"`);
+        }
+    }
+
+    return {
+        ...event,
+        startsAt: new Date(startsAt).toISOString(),
+        endsAt: new Date(endsAt).toISOString(),
+        slots,
+        rewardMultiplier: event.rewardMultiplier ?? 1,
+        amountMultiplier: event.amountMultiplier ?? 1,
+    };
+}
+
+function loadEventCatalog(
+    catalog,
+    filePath = process.env.EVENTS_CATALOG || DEFAULT_EVENTS_PATH,
+) {
+    if (!fs.existsSync(filePath)) return [];
+    const { events = [] } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const parsed = events.map((event) => validateEvent(event, catalog));
+    logger.info(
+        `[EVENTS] Loaded ${parsed.length} scheduled events from ${path.basename(filePath)}`,
+    );
+    return parsed;
+}
+
+function isEventActive(event, now = Date.now()) {
+    return Date.parse(event.startsAt) <= now && now < Date.parse(event.endsAt);
+}
+
+module.exports = {
+    weekStart,
+    weekBounds,
+    parseChallengeId,
+    validateEvent,
+    loadEventCatalog,
+    isEventActive,
+};
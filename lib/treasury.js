@@ -0,0 +1,302 @@
+// === TREASURY ===
+// Every transaction the treasurer pays for goes through send(), which
+// enforces daily spending budgets per wallet and overall, and refuses to let
+// the treasurer balance drop below a floor. Budgets belong to the fee payer,
+// so games paying with the same key share one treasury. Actual fees are read back from
+// the confirmed transaction and recorded per day in the "spend" namespace.
+// Balance samples for the trend/runway figures on /health are kept in the
+// "treasury" namespace.
+
+const { LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const { logger } = require("./logger");
+const { dayBounds, parseResetTime } = require("./scheduler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SPEND_HISTORY_DAYS = 30;
+const SAMPLE_INTERVAL_MS = 60 * 60 * 1000;
+const SAMPLE_HISTORY_MS = 7 * DAY_MS;
+const BALANCE_CACHE_MS = 30 * 1000;
+
+const sol = (lamports) => lamports / LAMPORTS_PER_SOL;
+
+function solEnv(name, fallback) {
+    const value = process.env[name];
+    return Math.round(
+        (value === undefined ? fallback : Number(value)) * LAMPORTS_PER_SOL,
+    );
+}
+
+class BudgetError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.connection  Solana connection (or the mock)
+ * @param {object} deps.payer  Treasurer public key
+ * @param {function} deps.send  sendTransactionForTests-compatible sender
+ * @param {number} [deps.resetOffsetMs]  Budget days start at DAILY_RESET_UTC
+ */
+function createTreasury({
+    store,
+    connection,
+    payer,
+    send,
+    resetOffsetMs = parseResetTime(),
+    globalDailyLamports = solEnv("TREASURY_DAILY_BUDGET_SOL", 1),
+    walletDailyLamports = solEnv("TREASURY_WALLET_DAILY_BUDGET_SOL", 0.05),
+    floorLamports = solEnv("TREASURY_MIN_BALANCE_SOL", 0.5),
+    feeEstimateLamports = Number(process.env.TX_FEE_ESTIMATE_LAMPORTS) || 10000,
+}) {
+    // Estimated cost of transactions still in flight, so concurrent sends
+    // can't all squeeze under the same cap
+    const reserved = { total: 0, wallets: new Map() };
+    let balanceCache = null;
+    let sampler = null;
+
+    const currentDay = () => dayBounds(new Date(), resetOffsetMs).dayKey;
+
+    function spendOn(dayKey) {
+        return (
+            store.get("spend", dayKey) || {
+                total: 0,
+                count: 0,
+                wallets: {},
+                labels: {},
+            }
+        );
+    }
+
+    // Average recorded cost of this kind of transaction today
+    function estimate(label) {
+        const entry = spendOn(currentDay()).labels[label];
+        return entry?.count
+            ? Math.ceil(entry.lamports / entry.count)
+            : feeEstimateLamports;
+    }
+
+    async function balance({ fresh = false } = {}) {
+        if (
+            !fresh &&
+            balanceCache &&
+            Date.now() - balanceCache.at < BALANCE_CACHE_MS
+        ) {
+            return balanceCache.lamports;
+        }
+        const lamports = await connection.getBalance(payer);
+        balanceCache = { lamports, at: Date.now() };
+        return lamports;
+    }
+
+    async function checkBudget(wallet, cost) {
+        const today = spendOn(currentDay());
+
+        if (wallet) {
+            const walletSpend =
+                (today.wallets[wallet] || 0) +
+                (reserved.wallets.get(wallet) || 0);
+            if (walletSpend + cost > walletDailyLamports) {
+                throw new BudgetError(
+                    429,
+                    "WALLET_BUDGET_EXCEEDED",
+                    `Daily transaction budget for ${wallet} is used up; try again after the daily reset`,
+                );
+            }
+        }
+        if (today.total + reserved.total + cost > globalDailyLamports) {
+            throw new BudgetError(
+                503,
+                "GLOBAL_BUDGET_EXCEEDED",
+                "The server's daily transaction budget is used up; try again after the daily reset",
+            );
+        }
+        if ((await balance()) - reserved.total - cost < floorLamports) {
+            throw new BudgetError(
+                503,
+                "TREASURY_BALANCE_FLOOR",
+                "Treasurer balance is at its minimum; transactions are paused until it is topped up",
+            );
+        }
+    }
+
+    function reserve(wallet, cost) {
+        reserved.total += cost;
+        if (wallet) {
+            reserved.wallets.set(
+                wallet,
+                (reserved.wallets.get(wallet) || 0) + cost,
+            );
+        }
+        return () => {
+            reserved.total -= cost;
+            if (!wallet) return;
+            const left = reserved.wallets.get(wallet) - cost;
+            if (left > 0) reserved.wallets.set(wallet, left);
+            else reserved.wallets.delete(wallet);
+        };
+    }
+
+    // What the treasurer actually paid, read from the confirmed transaction
+    async function actualCost(signature, fallback) {
+        try {
+            const tx = await connection.getTransaction(signature, {
+                commitment: "confirmed",
+                maxSupportedTransactionVersion: 0,
+            });
+            const { preBalances, postBalances } = tx?.meta || {};
+            if (preBalances && postBalances) {
+                return Math.max(preBalances[0] - postBalances[0], 0);
+            }
+        } catch (err) {
+            logger.warn(
+                `[TREASURY] Could not read cost of ${signature}:`,
+                err.message,
+            );
+        }
+        return fallback;
+    }
+
+    function record(wallet, label, lamports) {
+        const dayKey = currentDay();
+        const today = spendOn(dayKey);
+        today.total += lamports;
+        today.count += 1;
+        if (wallet) {
+            today.wallets[wallet] = (today.wallets[wallet] || 0) + lamports;
+        }
+        const entry = today.labels[label] || { lamports: 0, count: 0 };
+        today.labels[label] = {
+            lamports: entry.lamports + lamports,
+            count: entry.count + 1,
+        };
+        store.set("spend", dayKey, today);
+
+        if (balanceCache) balanceCache.lamports -= lamports;
+
+        const cutoff = new Date(
+            Date.parse(`${dayKey}T00:00:00Z`) - SPEND_HISTORY_DAYS * DAY_MS,
+        )
+            .toISOString()
+            .slice(0, 10);
+        for (const [key] of store.entries("spend")) {
+            if (key < cutoff) store.delete("spend", key);
+        }
+    }
+
+    /**
+     * Budgeted drop-in for sendTransactionForTests.
+     * @param {object} [billing]
+     * @param {string} [billing.wallet]  Player the transaction is for
+     * @param {string} [billing.label]  Kind of transaction, e.g. "xp"
+     * @param {boolean} [billing.system]  Project setup; counted, never refused
+     */
+    async function sendTransaction(
+        client,
+        tx,
+        signers,
+        { wallet = null, label = "other", system = false } = {},
+    ) {
+        const cost = estimate(label);
+        if (!system) await checkBudget(wallet, cost);
+
+        const release = reserve(wallet, cost);
+        try {
+            const result = await send(client, tx, signers);
+            if (result?.signature) {
+                record(wallet, label, await actualCost(result.signature, cost));
+            }
+            return result;
+        } finally {
+            release();
+        }
+    }
+
+    async function sample() {
+        const lamports = await balance({ fresh: true });
+        const now = Date.now();
+        const samples = (store.get("treasury", "samples") || []).filter(
+            (s) => now - Date.parse(s.at) < SAMPLE_HISTORY_MS,
+        );
+        samples.push({ at: new Date(now).toISOString(), lamports });
+        store.set("treasury", "samples", samples);
+        return samples;
+    }
+
+    // Budgets, today's spend, balance trend and runway for /health
+    async function status() {
+        const lamports = await balance({ fresh: true });
+        const { dayKey, resetsAt } = dayBounds(new Date(), resetOffsetMs);
+        const today = spendOn(dayKey);
+
+        // Balance change over the last 24h of samples
+        const samples = store.get("treasury", "samples") || [];
+        const dayAgo = samples.find(
+            (s) => Date.now() - Date.parse(s.at) <= DAY_MS,
+        );
+
+        // Average over previous full days, or today's pace on day one
+        const previous = store
+            .entries("spend")
+            .filter(([key]) => key < dayKey)
+            .map(([, day]) => day.total);
+        const elapsed = Math.max(
+            (Date.now() - resetsAt.getTime()) / DAY_MS,
+            1 / 24,
+        );
+        const dailySpend = previous.length
+            ? previous.reduce((sum, total) => sum + total, 0) / previous.length
+            : today.total / elapsed;
+        const spendable = Math.max(lamports - floorLamports, 0);
+
+        return {
+            balanceSol: sol(lamports),
+            floorSol: sol(floorLamports),
+            spentTodaySol: sol(today.total),
+            transactionsToday: today.count,
+            dailyBudgetSol: sol(globalDailyLamports),
+            walletDailyBudgetSol: sol(walletDailyLamports),
+            budgetRemainingSol: sol(
+                Math.max(globalDailyLamports - today.total, 0),
+            ),
+            trend: {
+                change24hSol: dayAgo ? sol(lamports - dayAgo.lamports) : null,
+                since: dayAgo?.at || null,
+            },
+            averageDailySpendSol: sol(dailySpend),
+            runwayDays: dailySpend
+                ? Math.floor((spendable / dailySpend) * 10) / 10
+                : null,
+        };
+    }
+
+    // Spend of one wallet today (admin/debugging)
+    function walletSpend(wallet) {
+        const today = spendOn(currentDay());
+        return {
+            spentTodaySol: sol(today.wallets[wallet] || 0),
+            budgetSol: sol(walletDailyLamports),
+        };
+    }
+
+    function start() {
+        if (sampler) return;
+        sample().catch((err) =>
+            logger.warn("[TREASURY] Balance sample failed:", err.message),
+        );
+        sampler = setInterval(() => {
+            sample().catch((err) =>
+                logger.warn("[TREASURY] Balance sample failed:", err.message),
+            );
+        }, SAMPLE_INTERVAL_MS);
+        sampler.unref?.();
+    }
+
+    return { sendTransaction, status, walletSpend, sample, start };
+}
+
+module.exports = { createTreasury, BudgetError };
@@ -0,0 +1,168 @@
+// === XP OUTBOX ===
+// Progress XP is queued per wallet in the "xpOutbox" store namespace and
+// flushed on an interval as one summed addXp transaction per profile, so
+// gameplay requests never wait on the chain.
+//
+// Delivery is at-least-once: if the process dies while a batch is in flight
+// we can't know whether it landed, so the batch is re-queued on start.
+
+const { logger } = require("./logger");
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const BASE_BACKOFF_MS = 15 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+function emptyEntry() {
+    return {
+        pendingXp: 0,
+        inFlightXp: 0,
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: null,
+        lastSyncedAt: null,
+        lastSignature: null,
+        totalSyncedXp: 0,
+    };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {(wallet: string, xp: number) => Promise<string>} deps.sendXp
+ *   Sends one addXp transaction and resolves with its signature.
+ */
+function createXpOutbox({
+    store,
+    sendXp,
+    intervalMs = Number(process.env.XP_FLUSH_INTERVAL_MS) ||
+        DEFAULT_INTERVAL_MS,
+}) {
+    let timer = null;
+    let flushing = null;
+
+    function get(wallet) {
+        return { ...emptyEntry(), ...store.get("xpOutbox", wallet) };
+    }
+
+    function enqueue(wallet, xp) {
+        const entry = get(wallet);
+        if (xp > 0) {
+            entry.pendingXp += xp;
+            store.set("xpOutbox", wallet, entry);
+        }
+        return status(wallet);
+    }
+
+    function status(wallet) {
+        const entry = get(wallet);
+        let state = "synced";
+        if (entry.inFlightXp > 0) state = "syncing";
+        else if (entry.pendingXp > 0)
+            state = entry.attempts > 0 ? "retrying" : "pending";
+
+        return {
+            status: state,
+            pendingXp: entry.pendingXp + entry.inFlightXp,
+            attempts: entry.attempts,
+            lastError: entry.lastError,
+            nextAttemptAt: entry.nextAttemptAt,
+            lastSyncedAt: entry.lastSyncedAt,
+            lastSignature: entry.lastSignature,
+            totalSyncedXp: entry.totalSyncedXp,
+        };
+    }
+
+    async function flushWallet(wallet) {
+        const entry = get(wallet);
+        entry.inFlightXp += entry.pendingXp;
+        entry.pendingXp = 0;
+        store.set("xpOutbox", wallet, entry);
+
+        try {
+            const signature = await sendXp(wallet, entry.inFlightXp);
+            const done = get(wallet);
+            done.totalSyncedXp += done.inFlightXp;
+            done.inFlightXp = 0;
+            done.attempts = 0;
+            done.lastError = null;
+            done.nextAttemptAt = null;
+            done.lastSyncedAt = new Date().toISOString();
+            done.lastSignature = signature;
+            store.set("xpOutbox", wallet, done);
+            logger.info(`[OUTBOX] Synced ${entry.inFlightXp} XP for ${wallet}`);
+        } catch (err) {
+            const failed = get(wallet);
+            failed.pendingXp += failed.inFlightXp;
+            failed.inFlightXp = 0;
+            failed.attempts += 1;
+            failed.lastError = err.message;
+            const backoff = Math.min(
+                BASE_BACKOFF_MS * 2 ** (failed.attempts - 1),
+                MAX_BACKOFF_MS,
+            );
+            failed.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+            store.set("xpOutbox", wallet, failed);
+            logger.error(
+                `[OUTBOX] XP sync failed for ${wallet} (attempt ${failed.attempts}):`,
+                err.message,
+            );
+        }
+    }
+
+    async function flushDue() {
+        const now = Date.now();
+        const due = store
+            .entries("xpOutbox")
+            .filter(
+                ([, entry]) =>
+                    entry.pendingXp > 0 &&
+                    (!entry.nextAttemptAt ||
+                        Date.parse(entry.nextAttemptAt) <= now),
+            )
+            .map(([wallet]) => wallet);
+
+        // One profile at a time keeps the treasurer's transactions ordered
+        for (const wallet of due) {
+            await flushWallet(wallet);
+        }
+    }
+
+    function flush() {
+        if (!flushing) {
+            flushing = flushDue().finally(() => {
+                flushing = null;
+            });
+        }
+        return flushing;
+    }
+
+    function start() {
+        if (timer) return;
+
+        // Re-queue batches that were in flight when the process stopped
+        for (const [wallet, entry] of store.entries("xpOutbox")) {
+            if (entry.inFlightXp > 0) {
+                store.set("xpOutbox", wallet, {
+                    ...entry,
+                    pendingXp: entry.pendingXp + entry.inFlightXp,
+                    inFlightXp: 0,
+                });
+            }
+        }
+
+        timer = setInterval(() => {
+            flush().catch((err) => logger.error("[OUTBOX] Flush failed:", err));
+        }, intervalMs);
+        timer.unref?.();
+        logger.info(`[OUTBOX] Flushing XP every ${intervalMs}ms`);
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { enqueue, status, flush, start, stop };
+}
+
+module.exports = { createXpOutbox };
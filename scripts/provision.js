@@ -0,0 +1,122 @@
+// === PROVISION ===
+// Creates or verifies each game's Honeycomb assets and records their
+// addresses in the state file the server starts from (see
+// lib/provisioning.js and lib/games.js). Safe to re-run; run it again
+// whenever a badge catalog grows, a profiles tree fills up or a game is
+// added to GAMES_FILE.
+//
+//   npm run provision                  # TREASURER_PRIVATE_KEY must be set
+//   npm run provision -- --check       # verify only, change nothing
+//   npm run provision -- --if-needed   # skip games that pass the check
+//   npm run provision -- --new-project # treasurer owns projects, start fresh
+//   npm run provision -- --game puzzle # only this game
+//
+// PROJECT_PUBKEY (or a game's "project") adopts an existing project when
+// there is no state file yet.
+
+require("dotenv").config();
+const { Keypair } = require("@solana/web3.js");
+const { createEdgeClient } = require("@honeycomb-protocol/edge-client");
+const {
+    sendTransactionForTests,
+} = require("@honeycomb-protocol/edge-client/client/helpers");
+const { logger } = require("../lib/logger");
+const { loadBadgeCatalog } = require("../lib/badges");
+const { loadGames } = require("../lib/games");
+const {
+    createProvisioner,
+    loadState,
+    saveState,
+} = require("../lib/provisioning");
+
+function loadTreasurer(game) {
+    const secret = process.env[game.feePayerKeyEnv];
+    if (!secret) {
+        throw new Error(`${game.feePayerKeyEnv} is required for ${game.id}`);
+    }
+    return Keypair.fromSecretKey(new Uint8Array(JSON.parse(secret)));
+}
+
+async function provisionGame(client, game, { args, otherProjects }) {
+    const treasurer = loadTreasurer(game);
+    const provisioner = createProvisioner({
+        client,
+        authority: treasurer.publicKey.toString(),
+        badges: loadBadgeCatalog(game.badgeCatalog).badges || [],
+        currency: game.currency,
+        projectName: game.name,
+        send: (tx) => sendTransactionForTests(client, tx, [treasurer]),
+    });
+
+    const filePath = game.stateFile;
+    const state = loadState(filePath);
+    if (args.includes("--check")) {
+        const problems = await provisioner.check(state);
+        for (const problem of problems) {
+            logger.error(`[PROVISION] ${game.id}: ${problem}`);
+        }
+        if (problems.length) process.exitCode = 1;
+        else logger.info(`[PROVISION] ${filePath} is up to date`);
+        return;
+    }
+
+    // Boots (see render.yaml) leave a provisioned game alone and never count
+    // the profiles in its trees, which pages through every one of them
+    const ifNeeded = args.includes("--if-needed");
+    if (ifNeeded && state && !(await provisioner.check(state)).length) {
+        logger.info(`[PROVISION] ${filePath} is up to date, skipping`);
+        return;
+    }
+
+    logger.info(
+        `[PROVISION] ${state ? "Updating" : "Creating"} ${filePath} for ${game.id} on ${client.apiUrl}`,
+    );
+    const result = await provisioner.provision(state || {}, {
+        adoptProject: game.adoptProject,
+        newProject: args.includes("--new-project"),
+        otherProjects,
+        onStep: (next) => saveState(next, filePath),
+        growTrees: !ifNeeded,
+    });
+    logger.info(`[PROVISION] ${game.id} done:`, result);
+}
+
+async function main(args) {
+    if (process.env.HONEYCOMB_MODE === "mock") {
+        throw new Error("Mock mode provisions itself on startup");
+    }
+
+    const games = loadGames();
+    const only = args.includes("--game")
+        ? args[args.indexOf("--game") + 1]
+        : null;
+    if (only && !games.some((game) => game.id === only)) {
+        throw new Error(`Unknown game "${only}"`);
+    }
+
+    const client = createEdgeClient(
+        process.env.HONEYCOMB_API_URL ||
+            "https://edge.test.honeycombprotocol.com",
+        true,
+    );
+    // Projects recorded by the other games, so a treasurer paying for
+    // several games can still get a project for a new one
+    const otherProjects = (game) =>
+        games
+            .filter((other) => other !== game)
+            .map((other) => loadState(other.stateFile)?.project)
+            .filter(Boolean);
+
+    for (const game of games) {
+        if (only && game.id !== only) continue;
+        await provisionGame(client, game, {
+            args,
+            otherProjects: otherProjects(game),
+        });
+    }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+    logger.error("[PROVISION] Failed:", err);
+    process.exit(1);
+});
@@ -0,0 +1,63 @@
+const { MemoryStore } = require("../lib/store");
+const { createProgressGuard } = require("../lib/anticheat");
+
+const WALLET = "wallet1";
+
+function guard() {
+    return createProgressGuard({
+        store: new MemoryStore(),
+        targets: { enemies: { maxPerMinute: 10, xpPerUnit: 10 } },
+    });
+}
+
+describe("progress guard", () => {
+    test("allows reports up to the per-minute limit", () => {
+        const g = guard();
+        const now = 1_000_000;
+        expect(g.checkRate(WALLET, "enemies", 6, now).ok).toBe(true);
+        g.commit(WALLET, "enemies", 6, now);
+        const rate = g.checkRate(WALLET, "enemies", 5, now + 1000);
+        expect(rate).toEqual({ ok: false, limit: 10, recent: 6 });
+        expect(g.checkRate(WALLET, "enemies", 5, now + 60_000).ok).toBe(true);
+    });
+
+    test("limits the same target across tracks together", () => {
+        const g = guard();
+        const now = 1_000_000;
+        g.commit(WALLET, "enemies", 6, now);
+        // The same kills reported again for a weekly challenge
+        expect(g.checkRate(WALLET, "enemies", 6, now + 1000)).toEqual({
+            ok: false,
+            limit: 10,
+            recent: 6,
+        });
+        expect(g.checkRate(WALLET, "coins", 6, now + 1000).ok).toBe(true);
+    });
+
+    test("forgets windows once they are a minute old", () => {
+        const g = guard();
+        const now = 1_000_000;
+        for (let i = 0; i < 50; i++) {
+            g.commit(`wallet${i}`, "enemies", 1, now);
+        }
+        expect(g.size()).toBe(50);
+
+        g.commit(WALLET, "enemies", 1, now + 61_000);
+        expect(g.size()).toBe(1);
+
+        g.checkRate(WALLET, "enemies", 1, now + 200_000);
+        expect(g.size()).toBe(0);
+    });
+
+    test("keeps a capped flag log per wallet", () => {
+        const g = guard();
+        g.flag(WALLET, "rate_exceeded", { recent: 11 });
+        expect(g.getFlags(WALLET)).toEqual([
+            expect.objectContaining({
+                type: "rate_exceeded",
+                details: { recent: 11 },
+            }),
+        ]);
+        expect(g.getFlags("other")).toEqual([]);
+    });
+});
@@ -0,0 +1,94 @@
+const { MemoryStore } = require("../lib/store");
+const { createSessionManager } = require("../lib/sessions");
+const { createAuth } = require("../lib/auth");
+
+const TOKEN = "session-0123456789abcdef";
+
+function jwt(payload) {
+    const part = (obj) =>
+        Buffer.from(JSON.stringify(obj)).toString("base64url");
+    return `${part({ alg: "none" })}.${part(payload)}.sig`;
+}
+
+function setup() {
+    const store = new MemoryStore();
+    let auth;
+    const sessions = createSessionManager({
+        store,
+        isIssuedAccessToken: (accessToken, wallet) =>
+            auth.isIssuedAccessToken(accessToken, wallet),
+    });
+    auth = createAuth({
+        store,
+        sessions,
+        projectAddress: () => "project1",
+        internalKey: "internal",
+    });
+    return { auth, sessions };
+}
+
+function request(headers = {}, body = {}, query = {}) {
+    const lower = Object.fromEntries(
+        Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]),
+    );
+    return { get: (name) => lower[name.toLowerCase()], body, query };
+}
+
+describe("createAuth", () => {
+    test("resolves issued access tokens as Bearer credentials", () => {
+        const { auth } = setup();
+        const issued = jwt({ sub: "w1", exp: Date.now() / 1000 + 60 });
+        auth.rememberAccessToken(issued, "w1");
+
+        expect(
+            auth.resolve(request({ Authorization: `Bearer ${issued}` })),
+        ).toEqual({ wallet: "w1", via: "accessToken" });
+        expect(
+            auth.resolve(request({ Authorization: `Bearer ${jwt({})}` })),
+        ).toBeNull();
+    });
+
+    test("forgets expired access tokens", () => {
+        const { auth } = setup();
+        const expired = jwt({ sub: "w1", exp: Date.now() / 1000 - 1 });
+        auth.rememberAccessToken(expired, "w1");
+        expect(auth.isIssuedAccessToken(expired, "w1")).toBe(false);
+    });
+
+    test("sessions refuse access tokens not issued to their wallet", () => {
+        const { auth, sessions } = setup();
+        const issued = jwt({ sub: "w1" });
+        auth.rememberAccessToken(issued, "w1");
+
+        expect(() =>
+            sessions.create(TOKEN, {
+                walletAddress: "w1",
+                accessToken: "x.y.z",
+            }),
+        ).toThrow(/not issued/);
+        expect(() =>
+            sessions.create(TOKEN, {
+                walletAddress: "w2",
+                accessToken: issued,
+            }),
+        ).toThrow(/not issued/);
+        expect(
+            auth.resolve(request({ Authorization: "Bearer x.y.z" })),
+        ).toBeNull();
+
+        sessions.create(TOKEN, { walletAddress: "w1", accessToken: issued });
+        expect(
+            auth.resolve(request({ "X-Session-Token": TOKEN })),
+        ).toMatchObject({ wallet: "w1", via: "session" });
+    });
+
+    test("never resolves prototype-named session tokens", () => {
+        const { auth } = setup();
+        expect(
+            auth.resolve(request({ "X-Session-Token": "__proto__" })),
+        ).toBeNull();
+        expect(
+            auth.resolve(request({}, { sessionToken: "constructor" })),
+        ).toBeNull();
+    });
+});
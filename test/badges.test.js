@@ -0,0 +1,121 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MemoryStore } = require("../lib/store");
+const { createBadgeService, loadBadgeCatalog } = require("../lib/badges");
+
+const catalog = {
+    badges: [
+        {
+            index: 0,
+            key: "easy_daily",
+            criteria: { type: "challenge", tier: "easy" },
+        },
+        {
+            index: 1,
+            key: "hard_weekly",
+            criteria: { type: "challenge", tier: "hard", track: "weekly" },
+        },
+        {
+            index: 2,
+            key: "any_event",
+            criteria: { type: "challenge", track: "event" },
+        },
+        { index: 3, key: "sweep", criteria: { type: "dailySweep" } },
+        { index: 4, key: "streak", criteria: { type: "streak", days: 3 } },
+    ],
+};
+
+function setup() {
+    const awarded = [];
+    const badges = createBadgeService({
+        store: new MemoryStore(),
+        catalog,
+        award: async (wallet, indexes) => {
+            awarded.push([wallet, indexes]);
+            return "sig";
+        },
+    });
+    return { badges, awarded };
+}
+
+const keys = (earned) => earned.map((b) => b.key);
+
+describe("createBadgeService", () => {
+    test("challenge badges only count on their track", () => {
+        const { badges } = setup();
+        const easy = { tier: "easy", target: "coins" };
+
+        expect(
+            keys(badges.evaluate("w1", { challenge: easy, track: "weekly" })),
+        ).toEqual([]);
+        expect(
+            keys(
+                badges.evaluate("w1", {
+                    challenge: easy,
+                    track: "event:flash",
+                }),
+            ),
+        ).toEqual(["any_event"]);
+        expect(
+            keys(badges.evaluate("w1", { challenge: easy, track: "daily" })),
+        ).toEqual(["easy_daily"]);
+    });
+
+    test("a hard daily challenge doesn't earn the weekly badge", () => {
+        const { badges } = setup();
+        const hard = { tier: "hard", target: "bosses" };
+        expect(
+            keys(badges.evaluate("w1", { challenge: hard, track: "daily" })),
+        ).toEqual([]);
+        expect(
+            keys(badges.evaluate("w1", { challenge: hard, track: "weekly" })),
+        ).toEqual(["hard_weekly"]);
+    });
+
+    test("awards each badge once", () => {
+        const { badges } = setup();
+        const facts = { dailySweep: true, streakDays: 3 };
+        expect(keys(badges.evaluate("w1", facts))).toEqual(["sweep", "streak"]);
+        expect(badges.evaluate("w1", facts)).toEqual([]);
+    });
+
+    test("finds the badge index of a generated challenge per track", () => {
+        const { badges } = setup();
+        const easy = { tier: "easy", target: "coins" };
+        expect(badges.challengeBadgeIndex({ ...easy, track: "daily" })).toBe(0);
+        expect(
+            badges.challengeBadgeIndex({ ...easy, track: "weekly" }),
+        ).toBeNull();
+        expect(badges.challengeBadgeIndex({ ...easy, track: "event:x" })).toBe(
+            2,
+        );
+    });
+});
+
+describe("loadBadgeCatalog", () => {
+    test("rejects unknown challenge tracks", () => {
+        const file = path.join(
+            fs.mkdtempSync(path.join(os.tmpdir(), "badges-")),
+            "badges.json",
+        );
+        fs.writeFileSync(
+            file,
+            JSON.stringify({
+                badges: [
+                    {
+                        index: 0,
+                        key: "x",
+                        criteria: { type: "challenge", track: "monthly" },
+                    },
+                ],
+            }),
+        );
+        expect(() => loadBadgeCatalog(file)).toThrow(/unknown track/);
+        fs.rmSync(path.dirname(file), { recursive: true });
+    });
+
+    test("loads the bundled catalog", () => {
+        expect(loadBadgeCatalog().badges.length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { createBlobStore, isBlobRef } = require("../lib/blobs");
+
+const big = { deck: Array.from({ length: 200 }, (_, i) => `card-${i}`) };
+
+describe("createBlobStore", () => {
+    test("keeps small values inline and large ones as blobs", async () => {
+        const blobs = createBlobStore({
+            backend: "memory",
+            inlineMaxBytes: 64,
+        });
+
+        const inline = await blobs.pack({ level: 3 });
+        expect(inline).toBe('{"level":3}');
+        expect(await blobs.unpack(inline)).toEqual({ level: 3 });
+
+        const ref = await blobs.pack(big);
+        expect(isBlobRef(ref)).toBe(true);
+        expect(ref).toMatch(/^blob:sha256:[0-9a-f]{64}:\d+$/);
+        expect(await blobs.unpack(ref)).toEqual(big);
+    });
+
+    test("stores identical content once", async () => {
+        const blobs = createBlobStore({ backend: "memory" });
+        const a = await blobs.put(Buffer.from("same"));
+        const b = await blobs.put(Buffer.from("same"));
+        expect(a).toBe(b);
+    });
+
+    test("refuses values over the limit", async () => {
+        const blobs = createBlobStore({
+            backend: "memory",
+            inlineMaxBytes: 16,
+            maxBytes: 64,
+        });
+        await expect(blobs.pack(big)).rejects.toMatchObject({ status: 413 });
+    });
+
+    test("reports missing blobs", async () => {
+        const blobs = createBlobStore({ backend: "memory" });
+        await expect(
+            blobs.get(`blob:sha256:${"0".repeat(64)}:4`),
+        ).rejects.toMatchObject({ status: 404, code: "BLOB_NOT_FOUND" });
+        await expect(blobs.get("blob:md5:abc:1")).rejects.toThrow(
+            /Not a blob reference/,
+        );
+    });
+
+    test("rejects unknown backends", () => {
+        expect(() => createBlobStore({ backend: "s3" })).toThrow(
+            /Unknown BLOB_BACKEND/,
+        );
+    });
+
+    describe("file backend", () => {
+        let dir;
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "blobs-"));
+        });
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test("reads blobs back after a restart", async () => {
+            const ref = await createBlobStore({ dir }).put(Buffer.from("run"));
+            const reopened = createBlobStore({ dir });
+            expect((await reopened.get(ref)).toString()).toBe("run");
+        });
+
+        test("refuses blobs that no longer match their hash", async () => {
+            const blobs = createBlobStore({ dir });
+            const ref = await blobs.put(Buffer.from("original"));
+            const hash = ref.split(":")[2];
+            fs.writeFileSync(
+                path.join(dir, hash.slice(0, 2), `${hash}.gz`),
+                zlib.gzipSync("tampered"),
+            );
+            await expect(blobs.get(ref)).rejects.toMatchObject({
+                status: 500,
+                code: "BLOB_INTEGRITY_FAILED",
+            });
+        });
+    });
+});
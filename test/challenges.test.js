@@ -0,0 +1,38 @@
+const path = require("path");
+const { loadCatalog, generateChallenges } = require("../lib/challenges");
+
+const catalog = loadCatalog(
+    path.join(__dirname, "..", "catalog", "challenges.json"),
+);
+
+describe("generateChallenges", () => {
+    test("is deterministic per period", () => {
+        const a = generateChallenges(catalog, "2026-10-19");
+        expect(generateChallenges(catalog, "2026-10-19")).toEqual(a);
+        expect(generateChallenges(catalog, "2026-10-20")).not.toEqual(a);
+    });
+
+    test("fills every daily slot with a valid challenge", () => {
+        const challenges = generateChallenges(catalog, "2026-10-19");
+        expect(challenges.map((c) => c.tier)).toEqual(catalog.daily.slots);
+        challenges.forEach((challenge, i) => {
+            expect(challenge.id).toBe(`daily_2026-10-19_${i}`);
+            expect(Number.isInteger(challenge.amount)).toBe(true);
+            expect(challenge.amount).toBeGreaterThan(0);
+            expect(challenge.reward).toBeGreaterThan(0);
+        });
+    });
+
+    test("scales weekly amounts and rewards", () => {
+        const options = { slots: ["hard"], prefix: "weekly" };
+        const [plain] = generateChallenges(catalog, "2026-10-19", options);
+        const [scaled] = generateChallenges(catalog, "2026-10-19", {
+            ...options,
+            amountMultiplier: 5,
+            rewardMultiplier: 4,
+        });
+        expect(scaled.templateId).toBe(plain.templateId);
+        expect(scaled.amount).toBe(plain.amount * 5);
+        expect(scaled.reward).toBeGreaterThan(plain.reward);
+    });
+});
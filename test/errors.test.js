@@ -0,0 +1,74 @@
+const { HttpError, errorBody, catchAsyncErrors } = require("../lib/errors");
+
+describe("errorBody", () => {
+    test("keeps the status code, message and details of HTTP errors", () => {
+        expect(
+            errorBody(
+                new HttpError(409, "Slot changed", {
+                    code: "VERSION_CONFLICT",
+                    details: { currentVersion: 2 },
+                }),
+            ),
+        ).toEqual({
+            error: {
+                code: "VERSION_CONFLICT",
+                message: "Slot changed",
+                details: { currentVersion: 2 },
+            },
+        });
+        expect(errorBody(new HttpError(429, "Slow down")).error.code).toBe(
+            "RATE_LIMITED",
+        );
+    });
+
+    test("hides unexpected errors", () => {
+        expect(errorBody(new Error("db password is hunter2"))).toEqual({
+            error: { code: "INTERNAL_ERROR", message: "Internal server error" },
+        });
+        expect(errorBody({ type: "entity.parse.failed" }).error.code).toBe(
+            "INVALID_JSON",
+        );
+    });
+});
+
+describe("catchAsyncErrors", () => {
+    function fakeRouter() {
+        const routes = {};
+        return catchAsyncErrors({
+            routes,
+            get(path, ...handlers) {
+                routes[path] = handlers;
+                return this;
+            },
+            post(path, ...handlers) {
+                routes[path] = handlers;
+                return this;
+            },
+        });
+    }
+
+    test("passes thrown and rejected errors to next", async () => {
+        const router = fakeRouter();
+        const boom = new Error("boom");
+        router.get("/sync", () => {
+            throw boom;
+        });
+        router.post("/async", async () => {
+            throw boom;
+        });
+
+        const errors = [];
+        const next = (err) => errors.push(err);
+        router.routes["/sync"][0]({}, {}, next);
+        router.routes["/async"][0]({}, {}, next);
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(errors).toEqual([boom, boom]);
+    });
+
+    test("leaves error middleware alone", () => {
+        const router = fakeRouter();
+        const handler = (err, req, res, next) => next(err);
+        router.get("/x", handler);
+        expect(router.routes["/x"][0]).toBe(handler);
+    });
+});
@@ -0,0 +1,86 @@
+const { MemoryStore } = require("../lib/store");
+const { createSessionManager } = require("../lib/sessions");
+const { createPairingService, pairingMessage } = require("../lib/pairing");
+
+function setup(options = {}) {
+    const store = new MemoryStore();
+    const sessions = createSessionManager({ store });
+    const signed = [];
+    const pairing = createPairingService({
+        store,
+        sessions,
+        verifySignature: (message, signature) => {
+            signed.push(message);
+            return signature === "good";
+        },
+        ...options,
+    });
+    return { store, sessions, pairing, signed };
+}
+
+describe("createPairingService", () => {
+    test("hands the approved session to the device secret holder", async () => {
+        const { pairing, sessions, signed } = setup();
+        const { code, deviceSecret } = pairing.start();
+        expect(code).toMatch(/^[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+        expect(pairing.describe(code).status).toBe("pending");
+
+        const waiting = pairing.wait(deviceSecret, 1000);
+        expect(() =>
+            pairing.confirm(code, { walletAddress: "w1", signature: "bad" }),
+        ).toThrow(/Invalid signature/);
+        pairing.confirm(code.toLowerCase(), {
+            walletAddress: "w1",
+            signature: "good",
+        });
+        expect(signed).toContain(pairingMessage(code));
+
+        const result = await waiting;
+        expect(result).toMatchObject({
+            status: "approved",
+            walletAddress: "w1",
+        });
+        expect(sessions.get(result.sessionToken).walletAddress).toBe("w1");
+        // Single use
+        expect(() => pairing.wait(deviceSecret, 0)).toThrow(/Unknown/);
+    });
+
+    test("leaves the code pending when the session is refused", () => {
+        const { pairing } = setup();
+        const { code } = pairing.start();
+        expect(() =>
+            pairing.confirm(code, {
+                walletAddress: "w1",
+                signature: "good",
+                accessToken: "not.issued.here",
+            }),
+        ).toThrow(/not issued/);
+        expect(pairing.describe(code).status).toBe("pending");
+    });
+
+    test("caps the pairings waiting for approval", () => {
+        const { pairing } = setup({ maxPending: 2 });
+        const first = pairing.start();
+        pairing.start();
+        expect(() => pairing.start()).toThrow(/Too many pairings/);
+
+        pairing.confirm(first.code, {
+            walletAddress: "w1",
+            signature: "good",
+            approve: false,
+        });
+        expect(() => pairing.start()).not.toThrow();
+    });
+
+    test("doesn't count expired codes against the cap", () => {
+        jest.useFakeTimers({ now: 0 });
+        try {
+            const { pairing } = setup({ maxPending: 1, codeTtlMs: 1000 });
+            pairing.start();
+            jest.setSystemTime(1000);
+            expect(() => pairing.start()).not.toThrow();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
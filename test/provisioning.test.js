@@ -0,0 +1,37 @@
+const { Keypair } = require("@solana/web3.js");
+const { createMockHoneycomb } = require("../lib/mockHoneycomb");
+const { createProvisioner } = require("../lib/provisioning");
+
+function setup() {
+    const { client, sendTransaction } = createMockHoneycomb();
+    const treasurer = Keypair.generate();
+    const provisioner = createProvisioner({
+        client,
+        authority: treasurer.publicKey.toBase58(),
+        badges: [{ index: 0, key: "first" }],
+        send: (tx) => sendTransaction(client, tx, [treasurer]),
+        treeAssets: 4,
+    });
+    return { client, provisioner };
+}
+
+describe("createProvisioner", () => {
+    test("provisions everything the check looks for", async () => {
+        const { provisioner } = setup();
+        const state = await provisioner.provision();
+        expect(state.profilesTrees).toHaveLength(1);
+        expect(await provisioner.check(state)).toEqual([]);
+    });
+
+    test("only counts profiles when growing trees", async () => {
+        const { client, provisioner } = setup();
+        const state = await provisioner.provision();
+        const findProfiles = jest.spyOn(client, "findProfiles");
+
+        await provisioner.provision(state, { growTrees: false });
+        expect(findProfiles).not.toHaveBeenCalled();
+
+        await provisioner.provision(state);
+        expect(findProfiles).toHaveBeenCalledTimes(1);
+    });
+});
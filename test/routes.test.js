@@ -0,0 +1,325 @@
+// Player flows through the HTTP routes, against the mock Honeycomb chain
+// (HONEYCOMB_MODE=mock) and memory stores.
+
+process.env.HONEYCOMB_MODE = "mock";
+process.env.STORE_BACKEND = "memory";
+process.env.BLOB_BACKEND = "memory";
+process.env.LOG_LEVEL = "error";
+process.env.ADMIN_API_KEY = "admin-key";
+delete process.env.GAMES_FILE;
+
+const request = require("supertest");
+const nacl = require("tweetnacl");
+const { Keypair } = require("@solana/web3.js");
+const { app, start } = require("../server");
+
+function signer() {
+    const keypair = Keypair.generate();
+    return {
+        wallet: keypair.publicKey.toBase58(),
+        sign: (message) =>
+            Array.from(
+                nacl.sign.detached(
+                    new TextEncoder().encode(message),
+                    keypair.secretKey,
+                ),
+            ).join(","),
+    };
+}
+
+// A player with a profile and a linked session, as the web client sets up
+async function player() {
+    const { wallet, sign } = signer();
+    const {
+        body: { message },
+    } = await request(app).get(`/honeycomb-auth-request?wallet=${wallet}`);
+    const {
+        body: { accessToken },
+    } = await request(app)
+        .post("/honeycomb-auth-confirm")
+        .send({ walletAddress: wallet, signature: sign(message) })
+        .expect(200);
+    await request(app)
+        .post("/honeycomb-create-user")
+        .send({ walletAddress: wallet })
+        .expect(200);
+
+    const token = `session-${wallet}`;
+    await request(app)
+        .post("/verify-session")
+        .send({
+            sessionToken: token,
+            walletAddress: wallet,
+            signature: sign(`Verify wallet for game session: ${token}`),
+            accessToken,
+        })
+        .expect(200);
+    return { wallet, token, accessToken };
+}
+
+async function completeFirstChallenge({ wallet, token }, track = "daily") {
+    const {
+        body: { challenges },
+    } = await request(app).get(`/challenges?track=${track}`).expect(200);
+    const challenge = challenges[0];
+    await request(app)
+        .post("/progress")
+        .send({
+            walletAddress: wallet,
+            challengeId: challenge.id,
+            progress: challenge.amount,
+            sessionToken: token,
+        })
+        .expect(200);
+    return challenge;
+}
+
+function claim({ wallet, token }, challengeId, key) {
+    return request(app)
+        .post("/claim")
+        .set("Idempotency-Key", key)
+        .send({ walletAddress: wallet, challengeId, sessionToken: token });
+}
+
+function progressOf({ wallet }) {
+    return request(app)
+        .get(`/admin/wallets/${wallet}`)
+        .set("Authorization", "Bearer admin-key")
+        .expect(200)
+        .then((res) => res.body);
+}
+
+beforeAll(() => start());
+
+describe("challenges", () => {
+    test("serves a bare array with the period in headers", async () => {
+        const res = await request(app).get("/challenges").expect(200);
+        const daily = await request(app)
+            .get("/challenges?track=daily")
+            .expect(200);
+
+        expect(Array.isArray(res.body)).toBe(true);
+        expect(res.body).toEqual(daily.body.challenges);
+        expect(res.headers).toMatchObject({
+            "x-challenges-date": daily.body.date,
+            "x-resets-at": daily.body.resetsAt,
+            "x-next-reset-at": daily.body.nextResetAt,
+        });
+    });
+
+    test("returns the period in the body for ?track=daily", async () => {
+        const { body } = await request(app)
+            .get("/challenges?track=daily")
+            .expect(200);
+        expect(body).toEqual({
+            date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+            resetsAt: expect.any(String),
+            nextResetAt: expect.any(String),
+            challenges: expect.any(Array),
+        });
+        expect(Date.parse(body.nextResetAt) - Date.parse(body.resetsAt)).toBe(
+            24 * 60 * 60 * 1000,
+        );
+        expect(body.challenges.length).toBeGreaterThan(0);
+    });
+});
+
+describe("claims", () => {
+    test("pays a completed challenge once", async () => {
+        const alice = await player();
+        const challenge = await completeFirstChallenge(alice);
+
+        const first = await claim(alice, challenge.id, "claim-1").expect(200);
+        expect(first.body).toMatchObject({
+            status: "confirmed",
+            challengeId: challenge.id,
+            reward: challenge.reward,
+            coins: challenge.reward,
+        });
+
+        const retry = await claim(alice, challenge.id, "claim-1").expect(200);
+        expect(retry.body).toMatchObject({
+            signature: first.body.signature,
+            replayed: true,
+        });
+
+        const balance = await request(app)
+            .get(`/wallet/balance?wallet=${alice.wallet}`)
+            .expect(200);
+        expect(balance.body.balance).toBe(challenge.reward);
+    });
+
+    test("refuses unfinished challenges and foreign sessions", async () => {
+        const bob = await player();
+        const mallory = await player();
+        const {
+            body: { challenges },
+        } = await request(app).get("/challenges?track=daily");
+
+        const unfinished = await claim(bob, challenges[1].id, "claim-2");
+        expect(unfinished.status).toBe(400);
+
+        const foreign = await claim(
+            { wallet: bob.wallet, token: mallory.token },
+            challenges[1].id,
+            "claim-3",
+        );
+        expect(foreign.status).toBe(401);
+        expect(foreign.body.error.code).toBe("INVALID_SESSION");
+    });
+
+    test("requires an idempotency key", async () => {
+        const carol = await player();
+        const challenge = await completeFirstChallenge(carol);
+        const res = await request(app).post("/claim").send({
+            walletAddress: carol.wallet,
+            challengeId: challenge.id,
+            sessionToken: carol.token,
+        });
+        expect(res.status).toBe(400);
+    });
+});
+
+describe("spending", () => {
+    test("burns coins once per idempotency key", async () => {
+        const dave = await player();
+        const challenge = await completeFirstChallenge(dave);
+        await claim(dave, challenge.id, "claim-4").expect(200);
+
+        const spend = () =>
+            request(app)
+                .post("/spend")
+                .set("X-Session-Token", dave.token)
+                .set("Idempotency-Key", "spend-1")
+                .send({ amount: 1, item: "potion" });
+        await spend().expect(200);
+        await spend().expect(200);
+
+        const balance = await request(app).get(
+            `/wallet/balance?wallet=${dave.wallet}`,
+        );
+        expect(balance.body.balance).toBe(challenge.reward - 1);
+    });
+
+    test("refuses to spend more than the balance", async () => {
+        const erin = await player();
+        const res = await request(app)
+            .post("/spend")
+            .set("X-Session-Token", erin.token)
+            .set("Idempotency-Key", "spend-2")
+            .send({ amount: 5, item: "sword" });
+        expect(res.status).toBe(409);
+        expect(res.body.error.code).toBe("INSUFFICIENT_FUNDS");
+    });
+
+    test("needs the caller's own session", async () => {
+        const res = await request(app)
+            .post("/spend")
+            .set("X-Session-Token", "__proto__")
+            .set("Idempotency-Key", "spend-3")
+            .send({ amount: 1, item: "potion" });
+        expect(res.status).toBe(401);
+    });
+});
+
+describe("save slots", () => {
+    test("saves, reads and rejects stale versions", async () => {
+        const frank = await player();
+        const put = (body) =>
+            request(app)
+                .put("/saves/main")
+                .set("X-Session-Token", frank.token)
+                .send(body);
+
+        const saved = await put({
+            version: 0,
+            data: { level: 3, deck: "x".repeat(2000) },
+        }).expect(200);
+        expect(saved.body).toMatchObject({ slot: "main", version: 1 });
+
+        const stale = await put({ version: 0, data: { level: 4 } });
+        expect(stale.status).toBe(409);
+        expect(stale.body.error).toMatchObject({
+            code: "VERSION_CONFLICT",
+            details: { currentVersion: 1 },
+        });
+
+        const read = await request(app)
+            .get("/saves/main")
+            .set("X-Session-Token", frank.token)
+            .expect(200);
+        expect(read.body.data).toEqual({ level: 3, deck: "x".repeat(2000) });
+
+        const list = await request(app)
+            .get("/saves")
+            .set("Authorization", `Bearer ${frank.accessToken}`)
+            .expect(200);
+        expect(list.body.slots.map((s) => s.slot)).toEqual(["main"]);
+    });
+
+    test("validates slot names and data keys", async () => {
+        const grace = await player();
+        const res = await request(app)
+            .put("/saves/main")
+            .set("X-Session-Token", grace.token)
+            .send({ version: 0, data: { "bad key": 1 } });
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe("VALIDATION_FAILED");
+    });
+});
+
+// Runs last: it replaces the challenges the other blocks play
+describe("replacing challenges", () => {
+    const admin = (method, path) =>
+        request(app)
+            [method](`/admin${path}`)
+            .set("Authorization", "Bearer admin-key");
+
+    test("keeps progress on unchanged challenges without a reset", async () => {
+        const heidi = await player();
+        const first = await completeFirstChallenge(heidi);
+        await claim(heidi, first.id, "replace-1").expect(200);
+
+        const {
+            body: { daily },
+        } = await admin("get", "/challenges").expect(200);
+        const replacement = daily.challenges.map((c, i) => ({
+            ...c,
+            amount: i === 1 ? c.amount + 1 : c.amount,
+            reward: c.reward + 1,
+        }));
+        const res = await admin("put", "/challenges")
+            .send({ challenges: replacement, resetProgress: false })
+            .expect(200);
+        expect(res.body.resetProgress).toBe(false);
+
+        const retry = await claim(heidi, first.id, "replace-1").expect(200);
+        expect(retry.body.replayed).toBe(true);
+        const { progress } = await progressOf(heidi);
+        expect(progress.daily[first.id].completed).toBe(first.amount);
+    });
+
+    test("forgets claims and progress when an event is rescheduled", async () => {
+        const event = {
+            id: "spring-fest",
+            name: "Spring Fest",
+            startsAt: new Date(Date.now() - 60_000).toISOString(),
+            endsAt: new Date(Date.now() + 3_600_000).toISOString(),
+        };
+        await admin("post", "/events").send(event).expect(201);
+
+        const ivan = await player();
+        const challenge = await completeFirstChallenge(ivan, event.id);
+        await claim(ivan, challenge.id, "event-1").expect(200);
+
+        await admin("post", "/events")
+            .send({ ...event, amountMultiplier: 2 })
+            .expect(201);
+
+        const { progress, claims } = await progressOf(ivan);
+        expect(progress.events[event.id]).toBeUndefined();
+        expect(claims).toEqual([]);
+        const again = await claim(ivan, challenge.id, "event-1");
+        expect(again.status).toBe(400);
+    });
+});
@@ -0,0 +1,145 @@
+const { MemoryStore } = require("../lib/store");
+const { createBlobStore, isBlobRef } = require("../lib/blobs");
+const { createSaveSlots } = require("../lib/saves");
+
+// Profiles' customData as Honeycomb would hold it, per wallet
+function setup({ chain = {}, ...options } = {}) {
+    const writes = [];
+    const store = new MemoryStore();
+    const saves = createSaveSlots({
+        store,
+        blobs: createBlobStore({ backend: "memory", inlineMaxBytes: 64 }),
+        readCustomData: async (wallet) => ({ ...chain[wallet] }),
+        writeCustomData: async (wallet, { add = {}, remove = [] }, token) => {
+            writes.push({ wallet, add, remove, token });
+            const customData = { ...chain[wallet], ...add };
+            for (const key of remove) delete customData[key];
+            chain[wallet] = customData;
+            return `sig${writes.length}`;
+        },
+        ...options,
+    });
+    return { saves, chain, writes, store };
+}
+
+describe("createSaveSlots", () => {
+    test("writes and reads a slot through customData", async () => {
+        const { saves, chain } = setup();
+        const saved = await saves.write(
+            "w1",
+            "main",
+            { version: 0, set: { level: 3, hp: 10 } },
+            "token",
+        );
+        expect(saved).toMatchObject({
+            slot: "main",
+            version: 1,
+            keys: ["level", "hp"],
+            signature: "sig1",
+        });
+        expect(chain.w1["save:main:level"]).toEqual(["3"]);
+        expect(JSON.parse(chain.w1["save:main"][0]).keys).toEqual([
+            "level",
+            "hp",
+        ]);
+
+        const read = await saves.read("w1", "main");
+        expect(read.data).toEqual({ level: 3, hp: 10 });
+        expect((await saves.read("w1", "main", ["hp"])).data).toEqual({
+            hp: 10,
+        });
+    });
+
+    test("rejects writes based on a stale version", async () => {
+        const { saves } = setup();
+        await saves.write("w1", "main", { version: 0, set: { a: 1 } });
+        await saves.write("w1", "main", { version: 1, set: { a: 2 } });
+        await expect(
+            saves.write("w1", "main", { version: 1, set: { a: 3 } }),
+        ).rejects.toMatchObject({
+            status: 409,
+            code: "VERSION_CONFLICT",
+            details: { currentVersion: 2 },
+        });
+        expect((await saves.read("w1", "main")).data).toEqual({ a: 2 });
+    });
+
+    test("lets only one of two concurrent writers win", async () => {
+        const { saves } = setup();
+        const results = await Promise.allSettled([
+            saves.write("w1", "main", { version: 0, set: { a: 1 } }),
+            saves.write("w1", "main", { version: 0, set: { a: 2 } }),
+        ]);
+        expect(results.map((r) => r.status).sort()).toEqual([
+            "fulfilled",
+            "rejected",
+        ]);
+    });
+
+    test("stores large values as blobs and reads them back", async () => {
+        const { saves, chain } = setup();
+        const deck = Array.from({ length: 50 }, (_, i) => `card-${i}`);
+        await saves.write("w1", "main", { version: 0, set: { deck } });
+        expect(isBlobRef(chain.w1["save:main:deck"][0])).toBe(true);
+        expect((await saves.read("w1", "main")).data.deck).toEqual(deck);
+    });
+
+    test("removes keys and caps the keys per slot", async () => {
+        const { saves, writes } = setup({ maxKeys: 2 });
+        await saves.write("w1", "main", { version: 0, set: { a: 1, b: 2 } });
+        await expect(
+            saves.write("w1", "main", { version: 1, set: { c: 3 } }),
+        ).rejects.toMatchObject({ status: 413 });
+
+        const saved = await saves.write("w1", "main", {
+            version: 1,
+            set: { c: 3 },
+            remove: ["a", "missing"],
+        });
+        expect(saved.keys).toEqual(["b", "c"]);
+        expect(writes.at(-1).remove).toEqual(["save:main:a"]);
+    });
+
+    test("deleted slots keep counting versions", async () => {
+        const { saves, chain } = setup();
+        await saves.write("w1", "main", { version: 0, set: { a: 1 } });
+        expect(await saves.remove("w1", "main", 1)).toMatchObject({
+            version: 2,
+        });
+        expect(chain.w1).toEqual({});
+        await expect(saves.read("w1", "main")).rejects.toMatchObject({
+            status: 404,
+        });
+        await expect(
+            saves.write("w1", "main", { version: 0, set: { a: 1 } }),
+        ).rejects.toMatchObject({ code: "VERSION_CONFLICT" });
+        expect(await saves.list("w1")).toEqual([]);
+    });
+
+    test("finds slots that only exist on-chain", async () => {
+        const meta = {
+            version: 4,
+            updatedAt: "2026-10-01T00:00:00.000Z",
+            keys: ["gold"],
+        };
+        const { saves } = setup({
+            chain: {
+                w1: {
+                    "save:old": [JSON.stringify(meta)],
+                    "save:old:gold": ["7"],
+                    unrelated: ["x"],
+                },
+            },
+        });
+        expect(await saves.list("w1")).toEqual([
+            {
+                slot: "old",
+                version: 4,
+                createdAt: meta.updatedAt,
+                updatedAt: meta.updatedAt,
+                keys: ["gold"],
+            },
+        ]);
+        expect((await saves.read("w1", "old")).data).toEqual({ gold: 7 });
+    });
+});
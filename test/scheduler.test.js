@@ -0,0 +1,39 @@
+const { dayBounds, parseResetTime } = require("../lib/scheduler");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("parseResetTime", () => {
+    test("parses HH:MM into an offset from midnight UTC", () => {
+        expect(parseResetTime("00:00")).toBe(0);
+        expect(parseResetTime("06:30")).toBe(6.5 * HOUR_MS);
+    });
+
+    test("rejects malformed times", () => {
+        for (const value of ["24:00", "7", "12:60", "noon"]) {
+            expect(() => parseResetTime(value)).toThrow(/DAILY_RESET_UTC/);
+        }
+    });
+});
+
+describe("dayBounds", () => {
+    test("uses the UTC date at a midnight reset", () => {
+        const bounds = dayBounds(new Date("2026-10-19T23:59:00Z"), 0);
+        expect(bounds.dayKey).toBe("2026-10-19");
+        expect(bounds.resetsAt.toISOString()).toBe("2026-10-19T00:00:00.000Z");
+        expect(bounds.nextResetAt.toISOString()).toBe(
+            "2026-10-20T00:00:00.000Z",
+        );
+    });
+
+    test("belongs to the previous day before a later reset time", () => {
+        const offset = parseResetTime("06:00");
+        expect(dayBounds(new Date("2026-10-19T05:59:00Z"), offset).dayKey).toBe(
+            "2026-10-18",
+        );
+        const bounds = dayBounds(new Date("2026-10-19T06:00:00Z"), offset);
+        expect(bounds.dayKey).toBe("2026-10-19");
+        expect(bounds.nextResetAt.toISOString()).toBe(
+            "2026-10-20T06:00:00.000Z",
+        );
+    });
+});
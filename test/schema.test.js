@@ -0,0 +1,143 @@
+const { Keypair } = require("@solana/web3.js");
+const { t, validate } = require("../lib/schema");
+const { HttpError } = require("../lib/errors");
+
+const WALLET = Keypair.generate().publicKey.toBase58();
+const SIGNATURE = Array.from({ length: 64 }, (_, i) => i).join(",");
+
+// Runs the middleware and returns the error it passed on, if any
+function run(schemas, req) {
+    for (const part of ["body", "query", "params"]) {
+        if (!(part in req)) req[part] = {};
+    }
+    let error;
+    validate(schemas)(req, {}, (err) => {
+        error = err;
+    });
+    return error;
+}
+
+describe("validate", () => {
+    test("coerces query strings and fills in defaults", () => {
+        const query = { limit: "5", all: "true" };
+        const error = run(
+            {
+                query: {
+                    limit: t.int({ min: 1, max: 10 }),
+                    all: t.boolean(),
+                    page: t.int().optional(1),
+                    track: t.string().optional(),
+                },
+            },
+            { query },
+        );
+        expect(error).toBeUndefined();
+        expect(query).toEqual({ limit: 5, all: true, page: 1 });
+    });
+
+    test("reports every problem at once", () => {
+        const error = run(
+            {
+                body: {
+                    walletAddress: t.address(),
+                    signature: t.signature(),
+                    progress: t.int({ min: 1 }),
+                },
+            },
+            { body: { walletAddress: "nope", signature: "1,2,3" } },
+        );
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.status).toBe(400);
+        expect(error.code).toBe("VALIDATION_FAILED");
+        expect(error.details.map((d) => d.field)).toEqual([
+            "body.walletAddress",
+            "body.signature",
+            "body.progress",
+        ]);
+        expect(error.details[2].message).toBe("is required");
+    });
+
+    test("accepts wallet addresses and signatures", () => {
+        expect(
+            run(
+                {
+                    body: {
+                        walletAddress: t.address(),
+                        signature: t.signature(),
+                    },
+                },
+                { body: { walletAddress: WALLET, signature: SIGNATURE } },
+            ),
+        ).toBeUndefined();
+    });
+
+    test("treats an empty query value as missing but not an empty body value", () => {
+        expect(
+            run({ query: { wallet: t.string() } }, { query: { wallet: "" } })
+                .details[0].message,
+        ).toBe("is required");
+        expect(
+            run({ body: { name: t.string() } }, { body: { name: "" } })
+                .details[0].message,
+        ).toBe("must be at least 1 characters");
+    });
+
+    test("replaces a missing or non-object body", () => {
+        const req = { body: "text" };
+        run({ body: { note: t.string().optional("none") } }, req);
+        expect(req.body).toEqual({ note: "none" });
+    });
+
+    test("gives every request its own copy of a fallback", () => {
+        const shape = { body: { tags: t.array().optional([]) } };
+        const first = { body: {} };
+        const second = { body: {} };
+        run(shape, first);
+        first.body.tags.push("mutated");
+        run(shape, second);
+        expect(second.body.tags).toEqual([]);
+    });
+});
+
+describe("t", () => {
+    const parse = (rule, value) => rule.parse(value);
+
+    test("checks string length and pattern", () => {
+        expect(() => parse(t.string({ max: 3 }), "long")).toThrow(/at most 3/);
+        expect(() => parse(t.date(), "19-10-2026")).toThrow(
+            "must be YYYY-MM-DD",
+        );
+        expect(parse(t.date(), "2026-10-19")).toBe("2026-10-19");
+    });
+
+    test("checks numbers and choices", () => {
+        expect(() => parse(t.int(), "1.5")).toThrow(/integer/);
+        expect(() => parse(t.int({ min: 1, max: 3 }), 4)).toThrow(
+            /between 1 and 3/,
+        );
+        expect(parse(t.number(), "1.5")).toBe(1.5);
+        expect(() => parse(t.oneOf(["a", "b"]), "c")).toThrow(/one of a, b/);
+    });
+
+    test("checks object keys and array items", () => {
+        const keys = t.string({
+            pattern: /^[a-z]+$/,
+            hint: "must be lowercase",
+        });
+        expect(() => parse(t.object({ keys }), { ok: 1, Bad: 2 })).toThrow(
+            'key "Bad" must be lowercase',
+        );
+        expect(() => parse(t.object({ maxKeys: 1 }), { a: 1, b: 2 })).toThrow(
+            /at most 1 keys/,
+        );
+        expect(() => parse(t.object(), [])).toThrow(/must be an object/);
+
+        expect(parse(t.array({ items: t.int() }), ["1", 2])).toEqual([1, 2]);
+        expect(() => parse(t.array({ items: t.int() }), [1, "x"])).toThrow(
+            "item 1 must be an integer",
+        );
+        expect(() => parse(t.array({ max: 1 }), [1, 2])).toThrow(
+            /between 0 and 1 items/,
+        );
+    });
+});
@@ -0,0 +1,122 @@
+const { MemoryStore } = require("../lib/store");
+const {
+    createSessionManager,
+    accessTokenExpiry,
+    sessionId,
+} = require("../lib/sessions");
+
+const TOKEN = "token-0123456789abcdef";
+
+function setup(options = {}) {
+    const store = new MemoryStore();
+    const created = [];
+    const sessions = createSessionManager({
+        store,
+        ttlMs: 1000,
+        maxAgeMs: 5000,
+        onCreate: (token, session) => created.push([token, session]),
+        ...options,
+    });
+    return { store, sessions, created };
+}
+
+function jwt(payload) {
+    const part = (obj) =>
+        Buffer.from(JSON.stringify(obj)).toString("base64url");
+    return `${part({ alg: "none" })}.${part(payload)}.sig`;
+}
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe("createSessionManager", () => {
+    test("links a token to a wallet and finds it again", () => {
+        const { sessions, created } = setup();
+        const session = sessions.create(TOKEN, { walletAddress: "w1" });
+        expect(session.id).toBe(sessionId(TOKEN));
+        expect(sessions.get(TOKEN).walletAddress).toBe("w1");
+        expect(created).toHaveLength(1);
+    });
+
+    test("refuses short tokens and tokens of another wallet", () => {
+        const { sessions } = setup();
+        expect(() => sessions.create("short", { walletAddress: "w1" })).toThrow(
+            /at least/,
+        );
+        sessions.create(TOKEN, { walletAddress: "w1" });
+        expect(() => sessions.create(TOKEN, { walletAddress: "w2" })).toThrow(
+            /another wallet/,
+        );
+    });
+
+    test("slides the expiry on use and drops idle sessions", () => {
+        jest.useFakeTimers({ now: 0 });
+        const { sessions, store } = setup();
+        sessions.create(TOKEN, { walletAddress: "w1" });
+
+        jest.setSystemTime(800);
+        expect(sessions.get(TOKEN)).toBeDefined();
+        jest.setSystemTime(1600);
+        expect(sessions.get(TOKEN)).toBeDefined();
+        jest.setSystemTime(2700);
+        expect(sessions.get(TOKEN)).toBeUndefined();
+        expect(store.entries("sessions")).toEqual([]);
+    });
+
+    test("expires sessions after the maximum age despite use", () => {
+        jest.useFakeTimers({ now: 0 });
+        const { sessions } = setup();
+        sessions.create(TOKEN, { walletAddress: "w1" });
+        for (let t = 900; t < 5000; t += 900) {
+            jest.setSystemTime(t);
+            expect(sessions.get(TOKEN)).toBeDefined();
+        }
+        jest.setSystemTime(5000);
+        expect(sessions.get(TOKEN)).toBeUndefined();
+    });
+
+    test.each(["__proto__", "constructor", "hasOwnProperty", "toString"])(
+        "never resolves the %s token",
+        (token) => {
+            const { sessions } = setup();
+            sessions.create(TOKEN, { walletAddress: "w1" });
+            expect(sessions.get(token)).toBeUndefined();
+            expect(sessions.revoke(token)).toBe(false);
+            expect({}.expiresAt).toBeUndefined();
+            expect({}.lastSeenAt).toBeUndefined();
+        },
+    );
+
+    test("ignores non-string tokens", () => {
+        const { sessions } = setup();
+        sessions.create(TOKEN, { walletAddress: "w1" });
+        expect(sessions.get({ length: 32 })).toBeUndefined();
+        expect(sessions.get([TOKEN])).toBeUndefined();
+    });
+
+    test("lists and revokes sessions per wallet", () => {
+        const { sessions } = setup();
+        const other = "token-fedcba9876543210";
+        sessions.create(TOKEN, { walletAddress: "w1" });
+        sessions.create(other, { walletAddress: "w2" });
+
+        expect(sessions.list("w1").map((s) => s.id)).toEqual([
+            sessionId(TOKEN),
+        ]);
+        expect(sessions.revokeById("w1", sessionId(other))).toBe(false);
+        expect(sessions.revokeById("w2", sessionId(other))).toBe(true);
+        expect(sessions.revokeAll("w1")).toBe(1);
+        expect(sessions.list()).toEqual([]);
+    });
+});
+
+describe("accessTokenExpiry", () => {
+    test("reads exp from a JWT payload", () => {
+        expect(accessTokenExpiry(jwt({ exp: 60 }))).toBe(
+            "1970-01-01T00:01:00.000Z",
+        );
+        expect(accessTokenExpiry(jwt({ sub: "w" }))).toBeNull();
+        expect(accessTokenExpiry("not-a-jwt")).toBeNull();
+    });
+});
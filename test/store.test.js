@@ -0,0 +1,83 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MemoryStore, FileStore, scopeStore } = require("../lib/store");
+
+describe("MemoryStore", () => {
+    test("keeps values per namespace", () => {
+        const store = new MemoryStore();
+        store.set("a", "k", 1);
+        store.set("b", "k", 2);
+        expect(store.get("a", "k")).toBe(1);
+        expect(store.get("b", "k")).toBe(2);
+        expect(store.entries("a")).toEqual([["k", 1]]);
+    });
+
+    test("never returns inherited properties", () => {
+        const store = new MemoryStore();
+        store.set("sessions", "real", { walletAddress: "w" });
+        for (const key of ["__proto__", "constructor", "toString"]) {
+            expect(store.get("sessions", key)).toBeUndefined();
+            expect(store.get(key, "real")).toBeUndefined();
+        }
+    });
+
+    test("stores prototype-named keys as ordinary keys", () => {
+        const store = new MemoryStore();
+        store.set("sessions", "__proto__", { expiresAt: "x" });
+        expect(store.get("sessions", "__proto__")).toEqual({ expiresAt: "x" });
+        expect({}.expiresAt).toBeUndefined();
+        expect(store.entries("sessions")).toEqual([
+            ["__proto__", { expiresAt: "x" }],
+        ]);
+
+        store.delete("sessions", "__proto__");
+        expect(store.entries("sessions")).toEqual([]);
+    });
+
+    test("clear empties only its namespace", () => {
+        const store = new MemoryStore();
+        store.set("a", "k", 1);
+        store.set("b", "k", 2);
+        store.clear("a");
+        expect(store.entries("a")).toEqual([]);
+        expect(store.get("b", "k")).toBe(2);
+    });
+});
+
+describe("FileStore", () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("persists and reloads namespaces without prototypes", async () => {
+        const filePath = path.join(dir, "store.json");
+        const store = new FileStore(filePath, { flushDelayMs: 10 });
+        store.set("pairings", "__proto__", { code: "ABC" });
+        store.set("pairings", "XYZ", { code: "XYZ" });
+        await store.flush();
+
+        const reloaded = new FileStore(filePath);
+        expect(reloaded.get("pairings", "__proto__")).toEqual({ code: "ABC" });
+        expect(reloaded.get("pairings", "XYZ")).toEqual({ code: "XYZ" });
+        expect(reloaded.get("pairings", "constructor")).toBeUndefined();
+        expect({}.code).toBeUndefined();
+    });
+});
+
+describe("scopeStore", () => {
+    test("isolates prefixed namespaces", () => {
+        const root = new MemoryStore();
+        const game = scopeStore(root, "game:puzzle:");
+        root.set("sessions", "t", "root");
+        game.set("sessions", "t", "puzzle");
+        expect(root.get("sessions", "t")).toBe("root");
+        expect(game.get("sessions", "t")).toBe("puzzle");
+        expect(root.get("game:puzzle:sessions", "t")).toBe("puzzle");
+        expect(scopeStore(root, "")).toBe(root);
+    });
+});
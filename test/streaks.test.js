@@ -0,0 +1,98 @@
+const { MemoryStore } = require("../lib/store");
+const { createStreakTracker } = require("../lib/streaks");
+
+function setup(config = {}) {
+    return createStreakTracker({
+        store: new MemoryStore(),
+        config: {
+            freezeEveryDays: 3,
+            maxFreezes: 1,
+            bonuses: [
+                { minDays: 3, multiplier: 1.1 },
+                { minDays: 7, multiplier: 1.25 },
+            ],
+            ...config,
+        },
+    });
+}
+
+// Marks the given days of October 2026 as completed
+function completeDays(streaks, wallet, days) {
+    for (const day of days) {
+        streaks.markDayComplete(
+            wallet,
+            `2026-10-${String(day).padStart(2, "0")}`,
+        );
+    }
+}
+
+describe("createStreakTracker", () => {
+    test("counts consecutive completed days once each", () => {
+        const streaks = setup();
+        completeDays(streaks, "w1", [1, 2, 2]);
+        expect(streaks.status("w1", "2026-10-02")).toMatchObject({
+            current: 2,
+            best: 2,
+            completedToday: true,
+            atRisk: false,
+        });
+    });
+
+    test("is at risk until today's challenges are done", () => {
+        const streaks = setup();
+        completeDays(streaks, "w1", [1, 2]);
+        expect(streaks.status("w1", "2026-10-03")).toMatchObject({
+            current: 2,
+            atRisk: true,
+            freezesNeeded: 0,
+        });
+    });
+
+    test("a missed day breaks the streak without freezes", () => {
+        const streaks = setup();
+        completeDays(streaks, "w1", [1, 2, 4]);
+        expect(streaks.status("w1", "2026-10-04")).toMatchObject({
+            current: 1,
+            best: 2,
+        });
+        expect(streaks.status("w1", "2026-10-06").current).toBe(0);
+    });
+
+    test("earned freezes cover missed days", () => {
+        const streaks = setup();
+        completeDays(streaks, "w1", [1, 2, 3]);
+        expect(streaks.status("w1", "2026-10-05")).toMatchObject({
+            current: 3,
+            freezes: 1,
+            freezesNeeded: 1,
+        });
+
+        completeDays(streaks, "w1", [5]);
+        expect(streaks.status("w1", "2026-10-05")).toMatchObject({
+            current: 4,
+            freezes: 0,
+        });
+    });
+
+    test("freezes are capped and don't cover longer gaps", () => {
+        const streaks = setup();
+        completeDays(streaks, "w1", [1, 2, 3, 4, 5, 6]);
+        expect(streaks.status("w1", "2026-10-06").freezes).toBe(1);
+        completeDays(streaks, "w1", [9]);
+        expect(streaks.status("w1", "2026-10-09").current).toBe(1);
+    });
+
+    test("applies the highest bonus reached", () => {
+        const streaks = setup();
+        expect(streaks.bonusFor(2).multiplier).toBe(1);
+        expect(streaks.bonusFor(3).multiplier).toBe(1.1);
+        expect(streaks.bonusFor(10).multiplier).toBe(1.25);
+
+        completeDays(streaks, "w1", [1, 2, 3]);
+        expect(streaks.status("w1", "2026-10-03")).toMatchObject({
+            bonusMultiplier: 1.1,
+            nextBonus: { inDays: 4, multiplier: 1.25 },
+        });
+        expect(streaks.wallets()).toEqual(["w1"]);
+    });
+});
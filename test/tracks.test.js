@@ -0,0 +1,110 @@
+const path = require("path");
+const { loadCatalog } = require("../lib/challenges");
+const {
+    weekBounds,
+    parseChallengeId,
+    validateEvent,
+    isEventActive,
+} = require("../lib/tracks");
+
+const catalog = loadCatalog(
+    path.join(__dirname, "..", "catalog", "challenges.json"),
+);
+
+function event(overrides = {}) {
+    return {
+        id: "spooky",
+        name: "Spooky",
+        startsAt: "2026-10-26T00:00:00Z",
+        endsAt: "2026-11-02T00:00:00Z",
+        slots: ["medium"],
+        templates: [
+            {
+                id: "ghosts",
+                verb: "Defeat",
+                target: "enemies",
+                tier: "medium",
+                amount: { min: 30, max: 40 },
+                reward: { base: 40, perUnit: 2 },
+            },
+        ],
+        ...overrides,
+    };
+}
+
+describe("weekBounds", () => {
+    test("weeks start on Monday at the daily reset", () => {
+        const bounds = weekBounds({
+            dayKey: "2026-10-22",
+            resetsAt: new Date("2026-10-22T06:00:00Z"),
+        });
+        expect(bounds.weekKey).toBe("2026-10-19");
+        expect(bounds.startsAt.toISOString()).toBe("2026-10-19T06:00:00.000Z");
+        expect(bounds.endsAt.toISOString()).toBe("2026-10-26T06:00:00.000Z");
+    });
+});
+
+describe("parseChallengeId", () => {
+    test("reads track and period", () => {
+        expect(parseChallengeId("weekly_2026-10-19_1")).toEqual({
+            track: "weekly",
+            periodKey: "2026-10-19",
+        });
+        expect(parseChallengeId("event_spooky_0")).toEqual({
+            track: "event:spooky",
+            periodKey: "spooky",
+        });
+        expect(parseChallengeId("bogus")).toBeNull();
+    });
+});
+
+describe("validateEvent", () => {
+    test("normalises a valid event", () => {
+        const parsed = validateEvent(event(), catalog);
+        expect(parsed.startsAt).toBe("2026-10-26T00:00:00.000Z");
+        expect(parsed.rewardMultiplier).toBe(1);
+        expect(isEventActive(parsed, Date.parse("2026-10-27T00:00:00Z"))).toBe(
+            true,
+        );
+    });
+
+    test.each([
+        ["an inverted amount range", { amount: { min: 10, max: 5 } }],
+        ["a missing amount", { amount: undefined }],
+        ["a negative reward", { reward: { base: -5 } }],
+        ["a non-numeric reward", { reward: { base: "lots" } }],
+        ["an unknown tier", { tier: "legendary" }],
+    ])("rejects templates with %s", (_, change) => {
+        const [template] = event().templates;
+        expect(() =>
+            validateEvent(
+                event({ templates: [{ ...template, ...change }] }),
+                catalog,
+            ),
+        ).toThrow(/Invalid event spooky/);
+    });
+
+    test.each(["daily", "weekly", "events"])(
+        "rejects the reserved id %s",
+        (id) => {
+            expect(() => validateEvent(event({ id }), catalog)).toThrow(
+                /is reserved/,
+            );
+        },
+    );
+
+    test("rejects non-positive multipliers", () => {
+        expect(() =>
+            validateEvent(event({ rewardMultiplier: -2 }), catalog),
+        ).toThrow(/rewardMultiplier/);
+        expect(() =>
+            validateEvent(event({ amountMultiplier: "x" }), catalog),
+        ).toThrow(/amountMultiplier/);
+    });
+
+    test("rejects slots without templates", () => {
+        expect(() =>
+            validateEvent(event({ slots: ["hard"] }), catalog),
+        ).toThrow(/no templates for tier "hard"/);
+    });
+});